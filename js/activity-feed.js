@@ -0,0 +1,162 @@
+// Main module for the recent activity feed
+// Fetches public GitHub events, caches them and renders them next to the project cards
+
+import { config } from './config.js';
+import { CacheManager } from './cache-manager.js';
+import { GitHubClient } from './github-client.js';
+import { ActivityRenderer } from './activity-renderer.js';
+import { parseEvents, filterActivity, groupByDay, countCommits } from './activity-processor.js';
+import { retryWithBackoff, formatErrorMessage } from './error-handler.js';
+
+/**
+ * ActivityFeed - Coordinates fetching, caching, and rendering of recent GitHub activity
+ */
+export class ActivityFeed {
+  /**
+   * @param {Object} userConfig - Configuration object (merged with defaults)
+   * @param {Object} options - Runtime options
+   * @param {ProjectFetcher} options.projectFetcher - Fetcher of the project cards, whose
+   *   filterRules results also filter the activity (optional)
+   */
+  constructor(userConfig = {}, options = {}) {
+    // Merge user config with defaults
+    this.config = { ...config, ...userConfig };
+
+    // Initialize module instances
+    this.cacheManager = new CacheManager(`github-activity-v${this.config.cacheVersion || 1}`, this.config.cacheExpiry);
+    this.githubClient = new GitHubClient(this.config.githubUsername, {
+      apiBase: this.config.githubApiBase,
+      token: this.config.githubToken,
+      rateLimitReserve: this.config.githubRateLimitReserve
+    });
+    this.renderer = new ActivityRenderer(this.config.activityContainerSelector);
+    this.projectFetcher = options.projectFetcher || null;
+  }
+
+  /**
+   * Initialize the feed - renders cached activity or fetches fresh activity
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    console.log('ActivityFeed initializing...');
+
+    if (!this.renderer.initialize()) {
+      console.error('Failed to initialize activity renderer - container not found');
+      return;
+    }
+
+    const cachedItems = this.cacheManager.get();
+
+    if (cachedItems) {
+      this.renderActivity(cachedItems);
+      return;
+    }
+
+    this.renderer.showLoading();
+    await this.fetchAndUpdateActivity();
+  }
+
+  /**
+   * Fetch, cache and render activity
+   * @returns {Promise<void>}
+   */
+  async fetchAndUpdateActivity() {
+    try {
+      // Unchanged events keep the cached activity
+      if (await this.revalidateCache()) {
+        this.renderActivity(this.cacheManager.get());
+        return;
+      }
+
+      const items = await this.fetchActivity();
+
+      this.cacheManager.set(items, { github: this.githubClient.validators });
+      this.renderActivity(items);
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+
+      const cacheEntry = this.cacheManager.getEntry();
+      if (cacheEntry) {
+        console.log('Using stale activity as fallback');
+        this.renderActivity(cacheEntry.data);
+      } else {
+        this.renderer.showError(formatErrorMessage(error, 'recent activity'));
+      }
+    }
+  }
+
+  /**
+   * Revalidate cached activity with conditional requests
+   * @returns {Promise<boolean>} True if the cache was refreshed without refetching
+   */
+  async revalidateCache() {
+    const cacheEntry = this.cacheManager.getEntry();
+
+    if (!cacheEntry || !cacheEntry.validators || !cacheEntry.validators.github) {
+      return false;
+    }
+
+    const validators = Object.entries(cacheEntry.validators.github);
+    if (validators.length === 0) {
+      return false;
+    }
+
+    try {
+      for (const [url, validator] of validators) {
+        if (!(await this.githubClient.isNotModified(url, validator))) {
+          return false;
+        }
+      }
+    } catch (error) {
+      console.warn('Activity revalidation failed:', error.message);
+      return false;
+    }
+
+    return this.cacheManager.touch();
+  }
+
+  /**
+   * Fetch events and turn them into filtered activity items
+   * @returns {Promise<Array>} Activity items
+   */
+  async fetchActivity() {
+    this.githubClient.validators = {};
+
+    const events = await retryWithBackoff(
+      () => this.githubClient.fetchEvents(this.config.githubUsername, this.config.activityMaxPages),
+      3,
+      1000
+    );
+
+    // The project fetch already knows which repositories the filter rules hide
+    const hiddenRepos = this.projectFetcher ? this.projectFetcher.getHiddenRepos() : [];
+    const items = filterActivity(parseEvents(events), this.config, hiddenRepos);
+    console.log(`Parsed ${items.length} activity items`);
+
+    return items;
+  }
+
+  /**
+   * Render activity items grouped by day with commit counts
+   * @param {Array} items - Activity items
+   */
+  renderActivity(items) {
+    const windows = this.config.activityCommitWindows || [30, 90];
+
+    this.renderer.render(
+      groupByDay(items, this.config.activityMaxDays),
+      countCommits(items, windows),
+      windows
+    );
+  }
+
+  /**
+   * Refresh activity (clear cache and fetch fresh data)
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    this.cacheManager.clear();
+    this.renderer.showLoading();
+    await this.fetchAndUpdateActivity();
+  }
+}
@@ -0,0 +1,168 @@
+// Activity Processor - Turns GitHub events into activity feed items
+// Handles parsing, filtering, grouping by day and per-project commit counts
+
+import { filterExcluded } from './project-processor.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse raw GitHub events into activity items, dropping event types the feed ignores
+ * @param {Array} events - Raw events from the GitHub events API
+ * @returns {Array} Array of activity items ({ id, type, name, date, title, url, commits })
+ */
+export function parseEvents(events = []) {
+  return events
+    .map(event => parseEvent(event))
+    .filter(item => item !== null);
+}
+
+/**
+ * Parse a single GitHub event
+ * @param {Object} event - Raw event
+ * @returns {Object|null} Activity item or null for ignored events
+ */
+function parseEvent(event) {
+  const repoFullName = event.repo ? event.repo.name : '';
+  const payload = event.payload || {};
+  const item = {
+    id: String(event.id),
+    name: repoFullName.split('/').pop(),
+    repo: repoFullName,
+    date: event.created_at,
+    url: `https://github.com/${repoFullName}`,
+    commits: 0
+  };
+
+  switch (event.type) {
+    case 'PushEvent': {
+      const branch = (payload.ref || '').replace('refs/heads/', '');
+      // Newer payloads may omit the commit list; count the push itself then
+      const commits = payload.distinct_size || payload.size || (payload.commits || []).length || 1;
+      return {
+        ...item,
+        type: 'push',
+        title: `Pushed ${commits} commit${commits === 1 ? '' : 's'}${branch ? ` to ${branch}` : ''}`,
+        url: payload.head ? `${item.url}/commit/${payload.head}` : item.url,
+        commits
+      };
+    }
+
+    case 'ReleaseEvent':
+      if (payload.action !== 'published' || !payload.release) {
+        return null;
+      }
+      return {
+        ...item,
+        type: 'release',
+        title: `Released ${payload.release.name || payload.release.tag_name}`,
+        url: payload.release.html_url || item.url
+      };
+
+    case 'CreateEvent':
+      if (payload.ref_type !== 'repository') {
+        return null;
+      }
+      return { ...item, type: 'create', title: 'Created repository' };
+
+    case 'PullRequestEvent': {
+      const pullRequest = payload.pull_request;
+      if (payload.action !== 'closed' || !pullRequest || !pullRequest.merged) {
+        return null;
+      }
+      return {
+        ...item,
+        type: 'merge',
+        title: `Merged PR #${pullRequest.number}: ${pullRequest.title}`,
+        url: pullRequest.html_url || item.url
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply the project exclude rules (excludeRepos and filterRules) to activity items
+ * filterRules need repository data (topics, fork, stars...), so the repositories they hide
+ * are passed in, as found by the project fetch (see ProjectFetcher.getHiddenRepos)
+ * @param {Array} items - Activity items
+ * @param {Object} config - Configuration object (excludeRepos)
+ * @param {Array} hiddenRepos - Full names ("owner/name") of repositories the filter rules hide
+ * @returns {Array} Filtered items
+ */
+export function filterActivity(items, config = {}, hiddenRepos = []) {
+  const filtered = config.excludeRepos ? filterExcluded(items, config.excludeRepos) : items;
+
+  if (hiddenRepos.length === 0) {
+    return filtered;
+  }
+
+  const hidden = new Set(hiddenRepos.map(repo => repo.toLowerCase()));
+  return filtered.filter(item => !hidden.has(item.repo.toLowerCase()));
+}
+
+/**
+ * Group activity items by calendar day (local time), newest day first
+ * @param {Array} items - Activity items
+ * @param {number} maxDays - Maximum number of days to return (0 for all)
+ * @returns {Array} Array of { day, date, items }
+ */
+export function groupByDay(items, maxDays = 0) {
+  const groups = new Map();
+
+  [...items]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .forEach(item => {
+      const date = new Date(item.date);
+      const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+      if (!groups.has(day)) {
+        groups.set(day, { day, date: item.date, items: [] });
+      }
+      groups.get(day).items.push(item);
+    });
+
+  const days = Array.from(groups.values());
+  return maxDays > 0 ? days.slice(0, maxDays) : days;
+}
+
+/**
+ * Count pushed commits per project over recent windows
+ * @param {Array} items - Activity items
+ * @param {Array} windows - Window lengths in days (default: [30, 90])
+ * @param {number} now - Reference timestamp (default: Date.now())
+ * @returns {Array} Array of { name, repo, counts: { [days]: commits } }, most active first
+ */
+export function countCommits(items, windows = [30, 90], now = Date.now()) {
+  const byRepo = new Map();
+  const longest = Math.max(...windows);
+
+  items
+    .filter(item => item.type === 'push')
+    .forEach(item => {
+      const age = now - new Date(item.date).getTime();
+      if (age > longest * DAY_MS) {
+        return;
+      }
+
+      if (!byRepo.has(item.repo)) {
+        byRepo.set(item.repo, {
+          name: item.name,
+          repo: item.repo,
+          counts: Object.fromEntries(windows.map(days => [days, 0]))
+        });
+      }
+
+      const entry = byRepo.get(item.repo);
+      windows.forEach(days => {
+        if (age <= days * DAY_MS) {
+          entry.counts[days] += item.commits;
+        }
+      });
+    });
+
+  return Array.from(byRepo.values()).sort(
+    (a, b) => b.counts[longest] - a.counts[longest] || a.name.localeCompare(b.name)
+  );
+}
@@ -0,0 +1,217 @@
+// Activity Renderer - Renders the recent activity feed in the DOM
+// Shows activity grouped by day alongside per-project commit counts
+
+/**
+ * ActivityRenderer class for rendering the activity feed
+ */
+export class ActivityRenderer {
+  /**
+   * Create an ActivityRenderer
+   * @param {string} containerSelector - CSS selector for the activity container
+   */
+  constructor(containerSelector) {
+    this.containerSelector = containerSelector;
+    this.container = null;
+  }
+
+  /**
+   * Initialize the renderer by finding the container element
+   * @returns {boolean} True if container found, false otherwise
+   */
+  initialize() {
+    this.container = document.querySelector(this.containerSelector);
+    if (!this.container) {
+      console.error(`Container not found: ${this.containerSelector}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Render the activity feed
+   * @param {Array} days - Activity grouped by day ({ day, date, items })
+   * @param {Array} commitCounts - Commits per project ({ name, repo, counts })
+   * @param {Array} windows - Commit count windows in days, e.g. [30, 90]
+   */
+  render(days, commitCounts = [], windows = [30, 90]) {
+    if (!this.container) {
+      if (!this.initialize()) {
+        console.error('Cannot render: container not found');
+        return;
+      }
+    }
+
+    // Clear existing content
+    this.container.innerHTML = '';
+
+    if ((!days || days.length === 0) && commitCounts.length === 0) {
+      this.showEmpty();
+      return;
+    }
+
+    const timeline = document.createElement('div');
+    timeline.className = 'activity-timeline';
+    days.forEach(day => timeline.appendChild(this.createDay(day)));
+    this.container.appendChild(timeline);
+
+    if (commitCounts.length > 0) {
+      this.container.appendChild(this.createCommitCounts(commitCounts, windows));
+    }
+  }
+
+  /**
+   * Create the element for one day of activity
+   * @param {Object} day - { date, items }
+   * @returns {HTMLElement} Day element
+   */
+  createDay(day) {
+    const container = document.createElement('div');
+    container.className = 'activity-day';
+
+    const heading = document.createElement('h3');
+    heading.className = 'activity-date';
+    heading.textContent = new Date(day.date).toLocaleDateString(undefined, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'activity-list';
+    day.items.forEach(item => list.appendChild(this.createItem(item)));
+    container.appendChild(list);
+
+    return container;
+  }
+
+  /**
+   * Create the element for a single activity item
+   * @param {Object} item - Activity item ({ type, name, title, url })
+   * @returns {HTMLElement} List item element
+   */
+  createItem(item) {
+    const listItem = document.createElement('li');
+    listItem.className = `activity-item activity-${item.type}`;
+
+    const repo = document.createElement('span');
+    repo.className = 'activity-repo';
+    repo.textContent = item.name;
+    listItem.appendChild(repo);
+
+    const link = document.createElement('a');
+    link.href = item.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'activity-title';
+    link.textContent = item.title;
+    listItem.appendChild(link);
+
+    return listItem;
+  }
+
+  /**
+   * Create the per-project commit count table
+   * @param {Array} commitCounts - Commits per project ({ name, counts })
+   * @param {Array} windows - Commit count windows in days
+   * @returns {HTMLElement} Commit counts element
+   */
+  createCommitCounts(commitCounts, windows) {
+    const container = document.createElement('div');
+    container.className = 'activity-commits';
+
+    const heading = document.createElement('h3');
+    heading.className = 'activity-commits-title';
+    heading.textContent = 'Commits';
+    container.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'activity-commits-table';
+
+    const headRow = document.createElement('tr');
+    ['Project', ...windows.map(days => `${days}d`)].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      headRow.appendChild(cell);
+    });
+    table.appendChild(headRow);
+
+    commitCounts.forEach(entry => {
+      const row = document.createElement('tr');
+
+      const name = document.createElement('td');
+      name.textContent = entry.name;
+      row.appendChild(name);
+
+      windows.forEach(days => {
+        const count = document.createElement('td');
+        count.textContent = String(entry.counts[days] || 0);
+        row.appendChild(count);
+      });
+
+      table.appendChild(row);
+    });
+
+    container.appendChild(table);
+    return container;
+  }
+
+  /**
+   * Show loading indicator
+   */
+  showLoading() {
+    if (!this.container) {
+      if (!this.initialize()) {
+        return;
+      }
+    }
+
+    this.container.innerHTML = `
+      <div class="projects-loading">
+        <div class="loading-spinner"></div>
+        <p>Loading activity...</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message to display
+   */
+  showError(message) {
+    if (!this.container) {
+      if (!this.initialize()) {
+        return;
+      }
+    }
+
+    this.container.innerHTML = '';
+
+    const error = document.createElement('div');
+    error.className = 'projects-error';
+
+    const text = document.createElement('p');
+    text.className = 'error-message';
+    text.textContent = message;
+    error.appendChild(text);
+
+    this.container.appendChild(error);
+  }
+
+  /**
+   * Show empty state message
+   */
+  showEmpty() {
+    if (!this.container) {
+      if (!this.initialize()) {
+        return;
+      }
+    }
+
+    this.container.innerHTML = `
+      <div class="projects-empty">
+        <p>No recent activity</p>
+      </div>
+    `;
+  }
+}
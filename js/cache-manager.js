@@ -1,5 +1,76 @@
 // Cache Manager - Handles LocalStorage caching for API responses
 // Provides methods to store, retrieve, and manage cached project data
+// along with the HTTP validators (ETag/Last-Modified) used to revalidate it
+
+/**
+ * Read the HTTP validators from a response
+ * @param {Response} response - Fetch response
+ * @returns {Object} { etag, lastModified } - null where the header is missing
+ */
+export function readValidators(response) {
+  return {
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified')
+  };
+}
+
+/**
+ * Build conditional request headers from stored validators
+ * @param {Object|null} validator - { etag, lastModified }
+ * @returns {Object} If-None-Match/If-Modified-Since headers (empty if no validator)
+ */
+export function conditionalHeaders(validator) {
+  const headers = {};
+
+  if (validator && validator.etag) {
+    headers['If-None-Match'] = validator.etag;
+  }
+  if (validator && validator.lastModified) {
+    headers['If-Modified-Since'] = validator.lastModified;
+  }
+
+  return headers;
+}
+
+/**
+ * Compute a short fingerprint of a value (e.g. the config the cached data was built with)
+ * Functions are included by their source, so a changed comparator changes the fingerprint
+ * @param {*} value - JSON-serializable value (functions allowed)
+ * @returns {string} Hex fingerprint
+ */
+export function fingerprint(value) {
+  const json = JSON.stringify(value, (key, item) => (typeof item === 'function' ? item.toString() : item)) || '';
+
+  // 32-bit FNV-1a - only used to notice changes, not for security
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < json.length; index++) {
+    hash ^= json.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * MemoryStorage - In-memory Storage replacement for environments without LocalStorage (e.g. the proxy server)
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
 
 /**
  * CacheManager - Manages caching of project data in LocalStorage
@@ -8,10 +79,12 @@ export class CacheManager {
   /**
    * @param {string} cacheKey - Key to use for storing data in LocalStorage
    * @param {number} expiryMs - Cache expiry time in milliseconds
+   * @param {Storage|null} storage - Storage to use instead of LocalStorage (optional)
    */
-  constructor(cacheKey, expiryMs) {
+  constructor(cacheKey, expiryMs, storage = null) {
     this.cacheKey = cacheKey;
     this.expiryMs = expiryMs;
+    this.storage = storage || globalThis.localStorage;
   }
 
   /**
@@ -19,15 +92,36 @@ export class CacheManager {
    * @returns {Array|null} Cached project data or null if not found/expired
    */
   get() {
+    const cacheEntry = this.getEntry();
+    if (!cacheEntry) {
+      return null;
+    }
+
+    // Check if cache is expired
+    if (this.isExpired(cacheEntry.timestamp)) {
+      console.log('Cache expired, will fetch fresh data');
+      return null;
+    }
+
+    console.log('Using cached data from', new Date(cacheEntry.timestamp).toLocaleString());
+    return cacheEntry.data;
+  }
+
+  /**
+   * Get the raw cache entry, even if expired
+   * @returns {Object|null} { timestamp, createdAt, data, validators, fingerprint, ...fields }
+   *   or null if not found/invalid
+   */
+  getEntry() {
     try {
-      const cached = localStorage.getItem(this.cacheKey);
-      
+      const cached = this.storage.getItem(this.cacheKey);
+
       if (!cached) {
         return null;
       }
 
       const cacheEntry = JSON.parse(cached);
-      
+
       // Validate cache structure
       if (!cacheEntry.timestamp || !Array.isArray(cacheEntry.data)) {
         console.warn('Invalid cache structure, clearing cache');
@@ -35,14 +129,7 @@ export class CacheManager {
         return null;
       }
 
-      // Check if cache is expired
-      if (this.isExpired(cacheEntry.timestamp)) {
-        console.log('Cache expired, will fetch fresh data');
-        return null;
-      }
-
-      console.log('Using cached data from', new Date(cacheEntry.timestamp).toLocaleString());
-      return cacheEntry.data;
+      return cacheEntry;
     } catch (error) {
       console.error('Error reading cache:', error);
       this.clear();
@@ -53,16 +140,42 @@ export class CacheManager {
   /**
    * Store data in LocalStorage with current timestamp
    * @param {Array} data - Project data to cache
+   * @param {Object|null} validators - HTTP validators of the responses the data came from
+   * @param {string|null} dataFingerprint - Fingerprint of the config the data was built with
+   * @param {Object} fields - Extra entry fields, stored when set (e.g. groups, incomplete)
    * @returns {boolean} True if successful, false otherwise
    */
-  set(data) {
-    try {
-      const cacheEntry = {
-        timestamp: Date.now(),
-        data: data
-      };
+  set(data, validators = null, dataFingerprint = null, fields = {}) {
+    const now = Date.now();
+    const cacheEntry = {
+      timestamp: now,
+      createdAt: now,
+      data: data
+    };
 
-      localStorage.setItem(this.cacheKey, JSON.stringify(cacheEntry));
+    if (validators) {
+      cacheEntry.validators = validators;
+    }
+    if (dataFingerprint) {
+      cacheEntry.fingerprint = dataFingerprint;
+    }
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) {
+        cacheEntry[key] = value;
+      }
+    });
+
+    return this.write(cacheEntry);
+  }
+
+  /**
+   * Write a cache entry to LocalStorage
+   * @param {Object} cacheEntry - { timestamp, createdAt, data, validators, fingerprint, ...fields }
+   * @returns {boolean} True if successful, false otherwise
+   */
+  write(cacheEntry) {
+    try {
+      this.storage.setItem(this.cacheKey, JSON.stringify(cacheEntry));
       console.log('Data cached successfully at', new Date(cacheEntry.timestamp).toLocaleString());
       return true;
     } catch (error) {
@@ -77,6 +190,34 @@ export class CacheManager {
     }
   }
 
+  /**
+   * Mark cached data as fresh again (e.g. after a 304 Not Modified)
+   * Keeps createdAt, so the age of the data since its last full fetch is still known
+   * @returns {boolean} True if an entry was refreshed, false otherwise
+   */
+  touch() {
+    const cacheEntry = this.getEntry();
+    if (!cacheEntry) {
+      return false;
+    }
+
+    return this.write({ ...cacheEntry, timestamp: Date.now() });
+  }
+
+  /**
+   * Replace the cached data, keeping the other fields and createdAt of the entry
+   * @param {Array} data - Updated data
+   * @returns {boolean} True if an entry was updated, false otherwise
+   */
+  update(data) {
+    const cacheEntry = this.getEntry();
+    if (!cacheEntry) {
+      return false;
+    }
+
+    return this.write({ ...cacheEntry, timestamp: Date.now(), data });
+  }
+
   /**
    * Check if cached data has expired
    * @param {number} timestamp - Timestamp when data was cached
@@ -97,7 +238,7 @@ export class CacheManager {
    */
   clear() {
     try {
-      localStorage.removeItem(this.cacheKey);
+      this.storage.removeItem(this.cacheKey);
       console.log('Cache cleared');
     } catch (error) {
       console.error('Error clearing cache:', error);
@@ -0,0 +1,65 @@
+// Concurrency - Helpers for running async work with a bounded number of tasks in flight
+// Keeps API fan-out (enrichment, deployment lookups) from flooding the network
+
+/**
+ * Map items through an async worker with at most `limit` workers running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers (at least 1)
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: workerCount }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * RequestBudget - Caps the number of requests a run may spend
+ */
+export class RequestBudget {
+  /**
+   * @param {number} limit - Maximum number of requests
+   */
+  constructor(limit) {
+    this.remaining = limit;
+  }
+
+  /**
+   * Reserve one request from the budget
+   * @returns {boolean} True if a request may be made, false if the budget is spent
+   */
+  tryTake() {
+    if (this.remaining <= 0) {
+      return false;
+    }
+
+    this.remaining--;
+    return true;
+  }
+
+  /**
+   * Spend the rest of the budget (e.g. after hitting a rate limit)
+   */
+  exhaust() {
+    this.remaining = 0;
+  }
+
+  /**
+   * Check if the budget is spent
+   * @returns {boolean} True if no requests remain
+   */
+  isExhausted() {
+    return this.remaining <= 0;
+  }
+}
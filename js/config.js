@@ -3,25 +3,143 @@
 
 export const config = {
   // GitHub username to fetch repositories from
+  // Used as the only source when githubSources is empty
   githubUsername: 'innookeke',
   
+  // GitHub users and organizations to fetch repositories from
+  // Each source: { owner, type: 'user' | 'org', include: [names], exclude: [names] }
+  // A non-empty include list shows only those repositories from that source
+  // Repositories listed by several sources are shown once
+  githubSources: [
+    { owner: 'innookeke', type: 'user' }
+  ],
+  
+  // Show the owning account/organization on each project card
+  showProjectOwner: false,
+  
+  // Show the Vercel deployment state (live, deploying, build failed) on project cards
+  showDeploymentStatus: true,
+  
+  // Link to the latest preview deployment when it is newer than production
+  showPreviewLinks: true,
+  
+  // Repository stats shown on each project card (set any to false to hide it)
+  // languageBar costs one extra GitHub request per displayed project in REST mode
+  cardStats: {
+    stars: true,
+    forks: true,
+    language: true,
+    license: false,
+    updated: true,
+    archived: true,
+    languageBar: true
+  },
+  
+  // GitHub API mode: 'rest' or 'graphql'
+  // GraphQL fetches repos, README text and social previews in one query,
+  // but GitHub only accepts it from authenticated requests (falls back to REST)
+  githubApiMode: 'rest',
+  
+  // Projects endpoint of the proxy server (server/proxy.js), e.g. 'http://localhost:8787/api/projects'
+  // When set, projects are fetched from the proxy, which holds the GitHub and Vercel tokens
+  // and runs the fetch/merge/process pipeline server-side; leave null to call the APIs directly
+  projectsEndpoint: null,
+  
+  // GitHub API base URL - point this at a local proxy that adds a token
+  // server-side to get authenticated rate limits without exposing the token
+  githubApiBase: 'https://api.github.com',
+  
+  // GitHub token (optional - leave null to use anonymous requests)
+  // Note: Anything set here is visible to every visitor; prefer githubApiBase with a proxy
+  githubToken: null,
+  
+  // Requests to keep in reserve - fetching stops once the remaining quota reaches this
+  githubRateLimitReserve: 5,
+  
   // Vercel API token (optional - leave null if not using Vercel)
-  // Note: For security, consider using a server-side proxy instead of exposing token
+  // Note: Anything set here is visible to every visitor; prefer projectsEndpoint
   vercelToken: null,
   
   // Vercel team ID (optional - only needed if using team account)
   vercelTeamId: null,
   
+  // Per-repository Vercel overrides, by repository name (optional)
+  // Repositories are matched to Vercel projects by their linked git repository, then by name
+  // Examples: { 'my-repo': 'my-vercel-project' }, { 'my-repo': { domain: 'example.com' } },
+  //           { 'my-repo': false } to skip the Vercel lookup
+  vercelProjects: {},
+  
+  // Deployment providers asked for a project's live URL, first match wins
+  // (projects no provider deploys fall back to the GitHub homepage, then the repository)
+  deploymentProviders: ['vercel', 'netlify', 'cloudflarePages', 'render', 'githubPages'],
+  
+  // Maximum number of projects whose deployment URLs are resolved at once
+  urlResolutionConcurrency: 4,
+  
+  // Where a project's live URL comes from, first available wins:
+  // 'override' - liveUrl in projectOverrides, 'providers' - the deploymentProviders in their order
+  // (or list single providers, e.g. 'vercel'), 'homepage' - GitHub homepage, 'repo' - the repository
+  urlFallbackOrder: ['override', 'providers', 'homepage', 'repo'],
+  
+  // Per-project overrides by project name, for GitHub and manual projects alike
+  // Fields: liveUrl, label (card title), thumbnail, description, hidden
+  // Example: { 'my-repo': { label: 'My App', liveUrl: 'https://my.app', hidden: false } }
+  projectOverrides: {},
+  
+  // Check that live URLs respond and fall back to the next URL (deployment, homepage, repo) if not
+  linkHealthCheck: false,
+  
+  // Link-health endpoint of the proxy server (server/proxy.js), e.g. 'http://localhost:8787/api/link-health'
+  // Without it the browser can only tell whether a host is reachable, not its HTTP status
+  linkHealthEndpoint: null,
+  
+  // Link-health probe timeout in milliseconds and number of projects checked at once
+  linkHealthTimeout: 5000,
+  linkHealthConcurrency: 4,
+  
+  // Netlify personal access token (optional) and per-repository overrides (same format as vercelProjects)
+  netlifyToken: null,
+  netlifySites: {},
+  
+  // Cloudflare Pages API token and account ID (optional) and per-repository overrides
+  // Note: The Cloudflare API blocks browser requests - only works through projectsEndpoint
+  cloudflareApiToken: null,
+  cloudflareAccountId: null,
+  cloudflarePagesProjects: {},
+  
+  // Render API key (optional) and per-repository overrides
+  // Note: The Render API blocks browser requests - only works through projectsEndpoint
+  renderApiKey: null,
+  renderServices: {},
+  
+  // Use https://<owner>.github.io/<repo>/ for repositories published with GitHub Pages
+  githubPagesEnabled: true,
+  githubPagesSites: {},
+  
   // Repository names to exclude from display
+  // Names match case-insensitively; globs ('demo-*') and regular expressions ('/^test-/i') work too
   excludeRepos: [
     'innookeke.github.io',
-    'kellon-home',
-    'MeluriAINFT',
-    'spectra-market',
-    'kellon'
+    'kellon-home'
   ],
   
-  // Repository names to display first (priority projects)
+  // Declarative rules a GitHub project must pass to be displayed (null for none)
+  // Combine rules with { all: [...] } (AND) and { any: [...] } (OR); the keys of one
+  // condition object must all pass. Conditions:
+  //   names / excludeNames: [patterns], requiredTopics / forbiddenTopics: [topics],
+  //   archived / fork / template: true | false, minStars: n, hasDescription: true | false,
+  //   updatedWithinDays: n
+  // Example: { all: [{ fork: false, template: false }, { any: [{ minStars: 3 }, { requiredTopics: ['portfolio'] }] }] }
+  // Left-out projects and the reason are logged and kept in projectFetcher.excludedProjects
+  filterRules: null,
+  
+  // Where the featured (priority) projects come from:
+  // 'pinned' - repositories pinned on the githubUsername profile, in pinned order
+  //            (needs GraphQL, i.e. a token or githubApiBase proxy; falls back to priorityRepos)
+  // 'config' - the priorityRepos list below
+  priorityMode: 'config',
+  
+  // Repository names to display first (priority projects), in this order
   priorityRepos: [
     'MeluriAINFT',
     'PropertyClique.ng',
@@ -30,20 +148,115 @@ export const config = {
     'spectra-market'
   ],
   
-  // Maximum number of projects to display
+  // Order of the other projects: 'recent' (last pushed), 'stars', 'name', 'score'
+  // (weighted by sortScoreWeights) or a comparator function (a, b) => number
+  // Ties are broken by name, then id
+  sortStrategy: 'recent',
+  
+  // Weights of the 'score' strategy: stars and forks count logarithmically, recency goes
+  // from 1 (updated today) to 0 (not updated within recencyDays)
+  sortScoreWeights: { stars: 1, forks: 0.5, recency: 2, recencyDays: 365 },
+  
+  // Maximum number of projects to display (per group when projectGroups is set)
+  // With showMoreMode this is the number of cards shown at first and per "Show more"
   maxProjects: 10,
   
-  // Cache expiry time in milliseconds (default: 1 hour)
-  cacheExpiry: 3600000, // 1 hour = 60 * 60 * 1000
+  // What happens to projects beyond maxProjects:
+  // 'button' - kept behind a "Show more" button, 'scroll' - loaded when the button scrolls
+  // into view (infinite scroll), 'none' - dropped
+  showMoreMode: 'button',
+  
+  // Show projects in headed sections grouped by topic (empty for one flat grid)
+  // Each group: { title, topics: [...], maxProjects (optional), id (optional) } - the id
+  // doubles as the title when title is left out
+  // Example: [{ title: 'Web3', topics: ['web3', 'blockchain', 'nft'] },
+  //           { title: 'AI', topics: ['ai', 'machine-learning'], maxProjects: 4 },
+  //           { title: 'Fintech', topics: ['fintech', 'payments'] }]
+  projectGroups: [],
+  
+  // Section for projects matching no group ({ title, maxProjects }), or null to hide them
+  projectGroupOther: { title: 'Other' },
+  
+  // 'first' - a project joins the first group listing one of its topics
+  // 'all' - a project joins every group listing one of its topics
+  projectGroupMode: 'first',
+  
+  // Add README descriptions and logos to displayed GitHub projects
+  // (GraphQL mode already includes them and skips these requests)
+  enrichProjects: true,
+  
+  // Maximum GitHub requests the enrichment may spend per refresh
+  enrichmentBudget: 30,
+  
+  // Maximum repositories enriched at the same time
+  enrichmentConcurrency: 3,
+  
+  // How long README/logo data of a repository is reused before revalidating
+  // (an unchanged README answers 304 and keeps the cached data)
+  enrichmentCacheTtl: 86400000, // 24 hours = 24 * 60 * 60 * 1000
+  
+  // Extra logo file globs by repository name ('*' applies to every repository)
+  // Matching files win over the built-in logo/icon/favicon naming rules
+  // Example: { 'kellon': ['branding/mark-*.svg'], '*': ['**/brand/logo.*'] }
+  logoPatterns: {},
+  
+  // Use the repository's custom social preview image when no logo file is found
+  // (in 'rest' mode it is looked up with GraphQL, so it needs githubToken)
+  logoSocialPreviewFallback: true,
+  
+  // Show a version badge and "What's new" notes from each displayed project's
+  // latest release (or latest tag when there are no releases)
+  // Costs one or two extra GitHub requests per displayed project in REST mode
+  fetchReleases: true,
+  
+  // Lines of release notes shown under "What's new"
+  releaseNotesLines: 4,
+  
+  // Maximum pages of 100 repositories to fetch per account
+  // Paging stops earlier once enough projects survive the filters
+  githubMaxPages: 5,
+  
+  // Cache expiry time in milliseconds (default: 15 minutes)
+  // Expired data is revalidated with conditional requests, so a refresh
+  // of unchanged data costs one 304 response per API listing
+  cacheExpiry: 900000, // 15 minutes = 15 * 60 * 1000
+  
+  // Longest time cached projects are kept by revalidation alone - after this the whole
+  // pipeline (processing, live URLs, enrichment) runs again even if nothing upstream changed
+  // (any config change also triggers a full fetch)
+  cacheMaxAge: 3600000, // 1 hour = 60 * 60 * 1000
   
   // Cache version - increment this to force cache refresh
-  cacheVersion: 9,
+  cacheVersion: 18,
   
   // CSS selector for the project container
   containerSelector: '.projects',
   
+  // Search box and topic chips filtering the project cards (state kept in the URL as ?q=&topics=)
+  projectFilterEnabled: true,
+  
+  // CSS selector for the filter controls container
+  projectFilterSelector: '.project-filters',
+  
+  // Recent activity feed (pushes, releases, new repos, merged PRs of githubUsername)
+  activityEnabled: true,
+  
+  // CSS selector for the activity container
+  activityContainerSelector: '.activity',
+  
+  // Number of days with activity to list
+  activityMaxDays: 7,
+  
+  // Maximum pages of 100 events to fetch (GitHub keeps 300 events / 90 days)
+  activityMaxPages: 3,
+  
+  // Windows in days for the per-project commit counts
+  activityCommitWindows: [30, 90],
+  
   // Manual projects to merge with auto-fetched ones
-  // These will be displayed alongside GitHub projects
+  // An entry matching a fetched repository (by repoUrl or name) is merged into it: the fields
+  // set here win (liveUrl acts as an override), stars, dates and deployment status stay live.
+  // Other entries are displayed alongside GitHub projects as they are
   manualProjects: [
     {
       id: 'manual-meluri',
@@ -53,7 +266,6 @@ export const config = {
       liveUrl: 'https://innookeke.github.io/MeluriAINFT/',
       thumbnail: '/images/meluri.png',
       topics: ['ai', 'nft', 'web3', 'blockchain'],
-      updatedAt: new Date().toISOString(),
       isPriority: true,
       source: 'manual'
     },
@@ -65,7 +277,6 @@ export const config = {
       liveUrl: 'https://propertyclique.ng',
       thumbnail: '/images/property.png',
       topics: ['real-estate', 'marketplace', 'web'],
-      updatedAt: new Date().toISOString(),
       isPriority: true,
       source: 'manual'
     },
@@ -77,7 +288,6 @@ export const config = {
       liveUrl: 'https://kellon.xyz',
       thumbnail: '/images/kellon.png',
       topics: ['web3', 'crypto', 'mobile', 'stellar', 'celo'],
-      updatedAt: new Date().toISOString(),
       isPriority: true,
       source: 'manual'
     },
@@ -89,7 +299,6 @@ export const config = {
       liveUrl: 'https://spectra-market.vercel.app/',
       thumbnail: '/images/spectra.png',
       topics: ['web3', 'prediction-market', 'encryption'],
-      updatedAt: new Date().toISOString(),
       isPriority: true,
       source: 'manual'
     }
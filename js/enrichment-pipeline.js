@@ -0,0 +1,224 @@
+// Enrichment Pipeline - Adds README descriptions, logos, languages and releases to displayed projects
+// Runs with a per-run request budget, bounded concurrency and a per-repository cache
+
+import { mapWithConcurrency, RequestBudget } from './concurrency.js';
+import { RateLimitError } from './error-handler.js';
+
+/**
+ * EnrichmentPipeline - Enriches GitHub projects without exhausting the rate limit
+ */
+export class EnrichmentPipeline {
+  /**
+   * @param {GitHubClient} githubClient - Client used for README and logo requests
+   * @param {CacheManager} cacheManager - Cache holding one entry per repository
+   * @param {Object} options - Pipeline options
+   * @param {number} options.budget - Maximum GitHub requests per run (default: 30)
+   * @param {number} options.concurrency - Maximum repositories enriched at once (default: 3)
+   * @param {number} options.ttl - How long a repository entry is trusted without
+   *   revalidation, in milliseconds (default: 24 hours)
+   * @param {Object} options.logoPatterns - Logo globs by repository name ('*' applies to all)
+   * @param {boolean} options.socialPreviewFallback - Use the custom social preview when no logo is found
+   * @param {boolean} options.fetchLanguages - Also fetch the language breakdown
+   * @param {boolean} options.fetchReleases - Also fetch the latest release (or tag)
+   */
+  constructor(githubClient, cacheManager, options = {}) {
+    this.githubClient = githubClient;
+    this.cacheManager = cacheManager;
+    this.budget = options.budget !== undefined ? options.budget : 30;
+    this.concurrency = options.concurrency || 3;
+    this.ttl = options.ttl || 86400000;
+    this.logoPatterns = options.logoPatterns || {};
+    this.socialPreviewFallback = options.socialPreviewFallback !== false;
+    this.fetchLanguages = options.fetchLanguages === true;
+    this.fetchReleases = options.fetchReleases === true;
+  }
+
+  /**
+   * Enrich projects, using cached entries where they are still fresh
+   * @param {Array} projects - Projects to enrich (already filtered and limited)
+   * @returns {Promise<Array>} Enriched projects in the same order
+   */
+  async run(projects) {
+    const cache = this.loadCache();
+    const budget = new RequestBudget(this.budget);
+
+    const enriched = await mapWithConcurrency(
+      projects,
+      this.concurrency,
+      project => this.enrichProject(project, cache, budget)
+    );
+
+    console.log(`Enrichment used ${this.budget - budget.remaining} of ${this.budget} requests`);
+
+    this.saveCache(cache);
+    return enriched;
+  }
+
+  /**
+   * Enrich a single project
+   * @param {Object} project - Project object
+   * @param {Map} cache - Cache entries by project id
+   * @param {RequestBudget} budget - Budget shared by the whole run
+   * @returns {Promise<Object>} Enriched project (or the original one)
+   */
+  async enrichProject(project, cache, budget) {
+    if (!this.shouldEnrich(project)) {
+      return project;
+    }
+
+    let entry = cache.get(project.id) || null;
+
+    if (!entry || this.isStale(entry)) {
+      try {
+        entry = await this.fetchEntry(project, entry, budget);
+        if (entry) {
+          cache.set(project.id, entry);
+        }
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          budget.exhaust();
+        }
+        console.warn(`Failed to enrich ${project.name}:`, error.message);
+      }
+    }
+
+    return entry ? this.applyEntry(project, entry) : project;
+  }
+
+  /**
+   * Check if a project needs enrichment requests at all
+   * @param {Object} project - Project object
+   * @returns {boolean} True for GitHub projects (including manual entries merged into one)
+   *   not enriched at fetch time
+   */
+  shouldEnrich(project) {
+    return !project.enriched && Boolean(project.owner);
+  }
+
+  /**
+   * Check if a cache entry has outlived the TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry must be revalidated
+   */
+  isStale(entry) {
+    return Date.now() - entry.fetchedAt > this.ttl;
+  }
+
+  /**
+   * Fetch README, logo, language and release data for a project
+   * An unchanged README (304) keeps the previous repository content data; the
+   * latest release is checked on every revalidation since it changes independently
+   * @param {Object} project - Project object
+   * @param {Object|null} previous - Stale cache entry, if any
+   * @param {RequestBudget} budget - Budget shared by the whole run
+   * @returns {Promise<Object|null>} New cache entry, or the previous one when out of budget
+   */
+  async fetchEntry(project, previous, budget) {
+    if (!budget.tryTake()) {
+      return previous;
+    }
+
+    const readme = await this.githubClient.fetchReadme(
+      project.name,
+      project.owner,
+      previous ? previous.readmeValidator : null
+    );
+
+    // Lookups skipped for lack of budget are retried on the next run
+    let complete = true;
+    let entry;
+
+    if (readme.notModified) {
+      entry = { ...previous };
+    } else {
+      const logoSkipped = budget.isExhausted();
+      const thumbnail = await this.githubClient.fetchLogo(project.name, project.owner, {
+        branch: project.defaultBranch,
+        budget,
+        patterns: this.getLogoPatterns(project),
+        socialPreview: this.socialPreviewFallback
+      });
+
+      let languages = previous ? previous.languages : null;
+      if (this.fetchLanguages) {
+        if (budget.tryTake()) {
+          languages = await this.githubClient.fetchLanguages(project.name, project.owner);
+        } else {
+          complete = false;
+        }
+      }
+
+      complete = complete && !logoSkipped;
+      entry = {
+        id: project.id,
+        readmeValidator: readme.validator,
+        description: this.githubClient.extractDescription(readme.text),
+        thumbnail,
+        languages,
+        release: previous ? previous.release : null
+      };
+    }
+
+    if (this.fetchReleases) {
+      if (budget.tryTake()) {
+        entry.release = await this.githubClient.fetchLatestRelease(project.name, project.owner, budget);
+      } else {
+        complete = false;
+      }
+    }
+
+    entry.fetchedAt = complete ? Date.now() : 0;
+    return entry;
+  }
+
+  /**
+   * Get the logo globs configured for a project
+   * @param {Object} project - Project object
+   * @returns {Array} Project-specific globs followed by the '*' globs
+   */
+  getLogoPatterns(project) {
+    return [
+      ...(this.logoPatterns[project.name] || []),
+      ...(this.logoPatterns['*'] || [])
+    ];
+  }
+
+  /**
+   * Apply a cache entry to a project
+   * @param {Object} project - Project object
+   * @param {Object} entry - Cache entry
+   * @returns {Object} Enriched project
+   */
+  applyEntry(project, entry) {
+    // Fields set in a manual entry win over fetched ones
+    const manualFields = project.manualFields || [];
+    const pick = (field, value) => (manualFields.includes(field) ? project[field] : value || project[field]);
+
+    return {
+      ...project,
+      description: pick('description', entry.description),
+      thumbnail: pick('thumbnail', entry.thumbnail),
+      languages: pick('languages', entry.languages),
+      release: pick('release', entry.release)
+    };
+  }
+
+  /**
+   * Load cache entries regardless of the cache's own expiry (entries expire individually)
+   * @returns {Map} Cache entries by project id
+   */
+  loadCache() {
+    const cacheEntry = this.cacheManager.getEntry();
+    const entries = cacheEntry ? cacheEntry.data : [];
+
+    return new Map(entries.map(entry => [entry.id, entry]));
+  }
+
+  /**
+   * Persist cache entries
+   * @param {Map} cache - Cache entries by project id
+   */
+  saveCache(cache) {
+    this.cacheManager.set(Array.from(cache.values()));
+  }
+}
@@ -1,8 +1,24 @@
 // Error Handler - Handles retry logic and error management
 // Provides exponential backoff retry and error handling utilities
 
+/**
+ * Error thrown when an API quota is exhausted (or about to be)
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Date|null} resetAt - When the quota resets, if known
+   */
+  constructor(message, resetAt = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
 /**
  * Retry a function with exponential backoff
+ * Rate limit errors are rethrown immediately, since retrying only burns quota
  * @param {Function} fn - Async function to retry
  * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
  * @param {number} baseDelay - Base delay in milliseconds (default: 1000)
@@ -24,6 +40,11 @@ export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     } catch (error) {
       lastError = error;
       
+      // Retrying cannot succeed before the quota resets
+      if (error instanceof RateLimitError) {
+        throw error;
+      }
+
       // If this was the last attempt, throw the error
       if (attempt === maxRetries) {
         console.error(`All ${maxRetries + 1} attempts failed:`, error);
@@ -94,6 +115,7 @@ export function isNetworkError(error) {
  */
 export function isRateLimitError(error) {
   return (
+    error instanceof RateLimitError ||
     error.message.includes('rate limit') ||
     error.message.includes('429') ||
     error.message.includes('too many requests')
@@ -112,6 +134,10 @@ export function formatErrorMessage(error, context = '') {
   }
 
   if (isRateLimitError(error)) {
+    if (error.resetAt) {
+      const resetTime = error.resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `API rate limit reached. Fresh data will be available after ${resetTime}.`;
+    }
     return 'API rate limit reached. Please try again later.';
   }
 
@@ -0,0 +1,181 @@
+// Filter Rules - Declarative rules deciding which projects are displayed
+// Rules combine with all (AND) / any (OR) and report why a project was left out
+
+import { patternToRegExp } from './patterns.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Description the GitHub client uses for repositories without one
+const MISSING_DESCRIPTION = 'No description available';
+
+/**
+ * Check whether a name matches any of the patterns
+ * @param {string} name - Project name
+ * @param {Array|string} patterns - Name patterns (see patternToRegExp)
+ * @returns {string|null} The first matching pattern, or null
+ */
+export function findMatchingPattern(name, patterns = []) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.find(pattern => {
+    const regex = patternToRegExp(pattern);
+    return regex !== null && regex.test(name);
+  }) || null;
+}
+
+/**
+ * Get the topics of a project, lowercased
+ * @param {Object} project - Project object
+ * @returns {Array} Topics
+ */
+function getTopics(project) {
+  return (project.topics || []).map(topic => topic.toLowerCase());
+}
+
+/**
+ * Check whether a project has a description worth showing
+ * @param {Object} project - Project object
+ * @returns {boolean} True if the description is set
+ */
+function hasDescription(project) {
+  const description = (project.description || '').trim();
+  return description !== '' && description !== MISSING_DESCRIPTION;
+}
+
+// Condition checks by rule key: return null when the project passes, or the reason it does not
+const CONDITIONS = {
+  // Keep only projects whose name matches one of the patterns
+  names: (project, patterns) =>
+    findMatchingPattern(project.name, patterns) ? null : 'name matches none of the allowed patterns',
+
+  // Drop projects whose name matches one of the patterns
+  excludeNames: (project, patterns) => {
+    const pattern = findMatchingPattern(project.name, patterns);
+    return pattern ? `name matches excluded pattern "${pattern}"` : null;
+  },
+
+  // Keep only projects with all of these topics
+  requiredTopics: (project, topics) => {
+    const projectTopics = getTopics(project);
+    const missing = topics.filter(topic => !projectTopics.includes(topic.toLowerCase()));
+    return missing.length > 0 ? `missing required topic(s): ${missing.join(', ')}` : null;
+  },
+
+  // Drop projects with any of these topics
+  forbiddenTopics: (project, topics) => {
+    const projectTopics = getTopics(project);
+    const found = topics.filter(topic => projectTopics.includes(topic.toLowerCase()));
+    return found.length > 0 ? `has forbidden topic(s): ${found.join(', ')}` : null;
+  },
+
+  // Keep only projects whose flag equals the configured value
+  archived: (project, value) =>
+    Boolean(project.archived) === value ? null : (value ? 'not archived' : 'archived'),
+
+  fork: (project, value) =>
+    Boolean(project.fork) === value ? null : (value ? 'not a fork' : 'is a fork'),
+
+  template: (project, value) =>
+    Boolean(project.template) === value ? null : (value ? 'not a template' : 'is a template'),
+
+  minStars: (project, minStars) =>
+    (project.stars || 0) >= minStars ? null : `fewer than ${minStars} stars (${project.stars || 0})`,
+
+  // true drops projects without a description (false keeps only those)
+  hasDescription: (project, value) =>
+    hasDescription(project) === value ? null : (value ? 'no description' : 'has a description'),
+
+  // Keep only projects pushed to (or updated) within the last N days
+  updatedWithinDays: (project, days, now) => {
+    const date = project.pushedAt || project.updatedAt;
+    if (!date) {
+      return 'no update time';
+    }
+
+    const age = now - new Date(date).getTime();
+    return age <= days * DAY_MS ? null : `not updated within ${days} days`;
+  }
+};
+
+/**
+ * Evaluate a rule against a project
+ *
+ * A rule is { all: [rules] } (every rule must pass), { any: [rules] } (one rule must pass)
+ * or a condition object whose keys (see CONDITIONS) must all pass, e.g.
+ *   { all: [{ fork: false, archived: false }, { any: [{ minStars: 5 }, { requiredTopics: ['portfolio'] }] }] }
+ *
+ * @param {Object} project - Project object
+ * @param {Object} rule - Rule
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} Why the project fails the rule, or null if it passes
+ */
+export function evaluateRule(project, rule, now = Date.now()) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+
+  if (Array.isArray(rule.all)) {
+    for (const childRule of rule.all) {
+      const reason = evaluateRule(project, childRule, now);
+      if (reason) {
+        return reason;
+      }
+    }
+    return null;
+  }
+
+  if (Array.isArray(rule.any)) {
+    const reasons = [];
+    for (const childRule of rule.any) {
+      const reason = evaluateRule(project, childRule, now);
+      if (!reason) {
+        return null;
+      }
+      reasons.push(reason);
+    }
+    return reasons.length > 0 ? `none of: ${reasons.join('; ')}` : null;
+  }
+
+  for (const [key, value] of Object.entries(rule)) {
+    const condition = CONDITIONS[key];
+    if (!condition) {
+      console.warn(`Unknown filter rule "${key}", ignoring`);
+      continue;
+    }
+
+    const reason = condition(project, value, now);
+    if (reason) {
+      return reason;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split projects into those passing the filter rules and those left out
+ * Manual projects are always kept (hide them with projectOverrides instead)
+ * @param {Array} projects - Array of project objects
+ * @param {Object|null} rules - Root rule (see evaluateRule)
+ * @returns {Object} { projects, excluded } - excluded projects carry excludeReason
+ */
+export function applyFilterRules(projects, rules) {
+  if (!rules) {
+    return { projects, excluded: [] };
+  }
+
+  const now = Date.now();
+  const kept = [];
+  const excluded = [];
+
+  projects.forEach(project => {
+    const reason = project.source === 'manual' ? null : evaluateRule(project, rules, now);
+
+    if (reason) {
+      excluded.push({ ...project, excludeReason: reason });
+    } else {
+      kept.push(project);
+    }
+  });
+
+  return { projects: kept, excluded };
+}
@@ -1,40 +1,282 @@
-// GitHub API Client - Handles communication with GitHub REST API v3
+// GitHub API Client - Handles communication with GitHub REST API v3 and GraphQL API v4
 // Fetches repository information for a given username
 
+import { RateLimitError } from './error-handler.js';
+import { readValidators, conditionalHeaders } from './cache-manager.js';
+import { extractDescription, cleanMarkdown, summarizeReleaseNotes } from './readme-parser.js';
+import { findLogoPath } from './logo-finder.js';
+import { toLanguageBreakdown } from './languages.js';
+
+// GraphQL query returning repositories with the data the REST mode needs a
+// request per repository for (README text, social preview image)
+const REPOSITORIES_QUERY = `
+  query ($login: String!, $cursor: String) {
+    repositoryOwner(login: $login) {
+      repositories(first: 100, after: $cursor, ownerAffiliations: OWNER, privacy: PUBLIC, orderBy: { field: PUSHED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          databaseId
+          name
+          owner { login }
+          description
+          url
+          homepageUrl
+          isFork
+          isTemplate
+          updatedAt
+          pushedAt
+          isArchived
+          stargazerCount
+          forkCount
+          licenseInfo { spdxId name }
+          primaryLanguage { name }
+          languages(first: 10, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name color } } }
+          defaultBranchRef { name }
+          repositoryTopics(first: 20) { nodes { topic { name } } }
+          openGraphImageUrl
+          usesCustomOpenGraphImage
+          pagesEnvironment: environment(name: "github-pages") { name }
+          latestRelease { tagName name publishedAt description url }
+          refs(refPrefix: "refs/tags/", first: 1, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) { nodes { name } }
+          readme: object(expression: "HEAD:README.md") { ... on Blob { text } }
+          readmeLower: object(expression: "HEAD:readme.md") { ... on Blob { text } }
+        }
+      }
+    }
+  }
+`;
+
+// GraphQL query returning the repositories pinned on a profile, in display order
+const PINNED_QUERY = `
+  query ($login: String!) {
+    repositoryOwner(login: $login) {
+      ... on ProfileOwner {
+        pinnedItems(first: 6, types: REPOSITORY) {
+          nodes { ... on Repository { name owner { login } } }
+        }
+      }
+    }
+  }
+`;
+
+// GraphQL query returning the social preview image of one repository
+// (REST does not tell a custom preview from the generated one)
+const SOCIAL_PREVIEW_QUERY = `
+  query ($owner: String!, $name: String!) {
+    repository(owner: $owner, name: $name) {
+      openGraphImageUrl
+      usesCustomOpenGraphImage
+    }
+  }
+`;
+
+/**
+ * Extract the rel="next" URL from a GitHub Link header
+ * @param {string|null} linkHeader - Link response header
+ * @returns {string|null} URL of the next page or null on the last page
+ */
+function parseNextLink(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+
+  const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
 /**
  * GitHubClient - Fetches and parses repository data from GitHub API
  */
 export class GitHubClient {
   /**
-   * @param {string} username - GitHub username to fetch repositories for
+   * @param {string} username - Default GitHub account to fetch repositories for
+   * @param {Object} options - Client options
+   * @param {string} options.apiMode - 'rest' (default) or 'graphql'
+   * @param {string} options.apiBase - API base URL, e.g. a local proxy that adds a token
+   * @param {string} options.graphqlUrl - GraphQL endpoint (defaults to `${apiBase}/graphql`)
+   * @param {string|null} options.token - GitHub token (visible to anyone when used in a browser)
+   * @param {number} options.rateLimitReserve - Requests to keep unused before stopping
+   * @param {number} options.maxPages - Maximum pages of 100 repositories to fetch
+   * @param {number} options.releaseNotesLines - Release note lines kept per release
    */
-  constructor(username) {
+  constructor(username, options = {}) {
     this.username = username;
-    this.apiBase = 'https://api.github.com';
+    this.apiBase = options.apiBase || 'https://api.github.com';
+    this.apiMode = options.apiMode || 'rest';
+    this.graphqlUrl = options.graphqlUrl || `${this.apiBase}/graphql`;
+    this.token = options.token || null;
+    this.rateLimitReserve = options.rateLimitReserve !== undefined ? options.rateLimitReserve : 5;
+    this.maxPages = options.maxPages || 5;
+    this.releaseNotesLines = options.releaseNotesLines || 4;
+
+    // Last known quota per rate limit resource ('core', 'graphql', ...)
+    this.rateLimits = {};
+
+    // HTTP validators of the listing responses fetched in the last run, by URL
+    this.validators = {};
+  }
+
+  /**
+   * Send a request to the GitHub API, tracking the rate limit headers
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @param {string} resource - Rate limit resource the request counts against
+   * @returns {Promise<Response>} Fetch response
+   * @throws {RateLimitError} When the quota is exhausted or within the reserve
+   */
+  async request(url, init = {}, resource = 'core') {
+    this.assertQuota(resource);
+
+    const headers = { ...(init.headers || {}) };
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(url, { ...init, headers });
+    this.updateRateLimit(response, resource);
+
+    const rateLimit = this.rateLimits[resource];
+    if (response.status === 429 || (response.status === 403 && rateLimit && rateLimit.remaining === 0)) {
+      throw new RateLimitError(
+        `GitHub API rate limit exceeded (${response.status})`,
+        rateLimit ? rateLimit.resetAt : null
+      );
+    }
+
+    return response;
   }
 
   /**
-   * Fetch all repositories for the user
+   * Check whether a previously fetched URL is unchanged, using a conditional request
+   * @param {string} url - Request URL
+   * @param {Object} validator - { etag, lastModified } stored from the last response
+   * @returns {Promise<boolean>} True if GitHub answered 304 Not Modified
+   */
+  async isNotModified(url, validator) {
+    const headers = conditionalHeaders(validator);
+    if (Object.keys(headers).length === 0) {
+      return false;
+    }
+
+    const response = await this.request(url, { headers });
+    return response.status === 304;
+  }
+
+  /**
+   * Record the quota reported by X-RateLimit-* response headers
+   * @param {Response} response - Fetch response
+   * @param {string} resource - Fallback resource when the response does not name one
+   */
+  updateRateLimit(response, resource) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    if (remaining === null) {
+      return;
+    }
+
+    const limit = response.headers.get('X-RateLimit-Limit');
+    const reset = response.headers.get('X-RateLimit-Reset');
+    const name = response.headers.get('X-RateLimit-Resource') || resource;
+
+    this.rateLimits[name] = {
+      limit: limit !== null ? Number(limit) : null,
+      remaining: Number(remaining),
+      resetAt: reset !== null ? new Date(Number(reset) * 1000) : null
+    };
+  }
+
+  /**
+   * Stop before a request would eat into the reserved quota
+   * @param {string} resource - Rate limit resource
+   * @throws {RateLimitError} When remaining requests are within the reserve
+   */
+  assertQuota(resource) {
+    const rateLimit = this.rateLimits[resource];
+    if (!rateLimit || rateLimit.remaining > this.rateLimitReserve) {
+      return;
+    }
+
+    // The quota has reset since the last response
+    if (rateLimit.resetAt && rateLimit.resetAt.getTime() <= Date.now()) {
+      delete this.rateLimits[resource];
+      return;
+    }
+
+    throw new RateLimitError(
+      `GitHub API rate limit nearly exhausted (${rateLimit.remaining} requests left)`,
+      rateLimit.resetAt
+    );
+  }
+
+  /**
+   * Get the last known rate limit for a resource
+   * @param {string} resource - Rate limit resource (default: 'core')
+   * @returns {Object|null} { limit, remaining, resetAt } or null if unknown
+   */
+  getRateLimit(resource = 'core') {
+    const rateLimit = this.rateLimits[resource];
+    return rateLimit ? { ...rateLimit } : null;
+  }
+
+  /**
+   * Fetch all repositories for the user, following pagination
+   * @param {Object} options - Fetch options
+   * @param {string} options.owner - User or organization login (default: the client's username)
+   * @param {string} options.ownerType - 'user' (default) or 'org'
+   * @param {Function} options.shouldStop - Called with the projects parsed so far after
+   *   each page; returning true skips the remaining (older) pages
    * @returns {Promise<Array>} Array of parsed project objects
    */
-  async fetchRepositories() {
+  async fetchRepositories(options = {}) {
+    const owner = options.owner || this.username;
+    const shouldStop = options.shouldStop || (() => false);
+
+    if (this.apiMode === 'graphql') {
+      try {
+        // repositoryOwner resolves users and organizations alike
+        return await this.fetchRepositoriesGraphQL(owner, shouldStop);
+      } catch (error) {
+        // GraphQL requires authentication, so fall back to the anonymous REST API
+        console.warn('GitHub GraphQL fetch failed, falling back to REST:', error.message);
+      }
+    }
+
     try {
-      const url = `${this.apiBase}/users/${this.username}/repos?sort=updated&per_page=100&type=owner`;
-      
-      console.log(`Fetching repositories for ${this.username}...`);
+      let url = options.ownerType === 'org'
+        ? `${this.apiBase}/orgs/${owner}/repos?sort=pushed&per_page=100&type=public`
+        : `${this.apiBase}/users/${owner}/repos?sort=pushed&per_page=100&type=owner`;
+      let page = 0;
+      const projects = [];
       
-      const response = await fetch(url);
+      console.log(`Fetching repositories for ${owner}...`);
       
-      if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+      while (url && page < this.maxPages) {
+        const response = await this.request(url);
+        
+        if (!response.ok) {
+          throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+        }
+
+        this.validators[url] = readValidators(response);
+        page++;
+
+        const repos = await response.json();
+        
+        // Parse each repository into our Project format
+        projects.push(...repos.map(repo => this.parseRepository(repo)));
+        
+        url = parseNextLink(response.headers.get('Link'));
+
+        if (url && shouldStop(projects)) {
+          console.log(`Enough repositories after ${page} page(s), skipping the rest`);
+          break;
+        }
       }
 
-      const repos = await response.json();
-      
-      console.log(`Fetched ${repos.length} repositories from GitHub`);
+      if (url && page >= this.maxPages) {
+        console.warn(`Stopped after ${this.maxPages} pages of repositories (githubMaxPages)`);
+      }
       
-      // Parse each repository into our Project format
-      const projects = repos.map(repo => this.parseRepository(repo));
+      console.log(`Fetched ${projects.length} repositories from GitHub`);
       
       // Enhance projects with README descriptions and logos
       const enhancedProjects = await this.enhanceProjects(projects);
@@ -46,68 +288,290 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Fetch all repositories for a user or organization with one GraphQL query per page
+   * @param {string} owner - User or organization login
+   * @param {Function} shouldStop - Called with the projects parsed so far after each page
+   * @returns {Promise<Array>} Array of parsed and enhanced project objects
+   */
+  async fetchRepositoriesGraphQL(owner = this.username, shouldStop = () => false) {
+    console.log(`Fetching repositories for ${owner} via GraphQL...`);
+
+    // Parse through the REST shape so both modes produce identical projects,
+    // keeping README text and social preview aside for enhancement
+    const inlineData = new Map();
+    const projects = [];
+    let cursor = null;
+    let page = 0;
+    let hasNextPage = true;
+
+    while (hasNextPage && page < this.maxPages) {
+      const data = await this.graphql(REPOSITORIES_QUERY, { login: owner, cursor });
+
+      if (!data || !data.repositoryOwner) {
+        throw new Error(`GitHub user or organization not found: ${owner}`);
+      }
+
+      const { nodes, pageInfo } = data.repositoryOwner.repositories;
+      page++;
+
+      nodes.filter(node => node).forEach(node => {
+        const project = this.parseRepository(this.normalizeGraphQLRepository(node));
+        const readme = node.readme || node.readmeLower;
+
+        inlineData.set(project.id, {
+          readme: readme ? readme.text : null,
+          socialPreview: node.usesCustomOpenGraphImage ? node.openGraphImageUrl : null,
+          languages: this.normalizeGraphQLLanguages(node.languages),
+          release: this.normalizeGraphQLRelease(node)
+        });
+
+        projects.push(project);
+      });
+
+      hasNextPage = pageInfo.hasNextPage;
+      cursor = pageInfo.endCursor;
+
+      if (hasNextPage && shouldStop(projects)) {
+        console.log(`Enough repositories after ${page} page(s), skipping the rest`);
+        break;
+      }
+    }
+
+    console.log(`Fetched ${projects.length} repositories from GitHub GraphQL`);
+
+    return this.enhanceProjects(projects, inlineData);
+  }
+
+  /**
+   * Fetch recent public events of a user (the events API keeps at most 90 days / 300 events)
+   * @param {string} owner - User login (default: the client's username)
+   * @param {number} maxPages - Maximum pages of 100 events to fetch (default: 3)
+   * @returns {Promise<Array>} Raw event objects, newest first
+   */
+  async fetchEvents(owner = this.username, maxPages = 3) {
+    let url = `${this.apiBase}/users/${owner}/events/public?per_page=100`;
+    let page = 0;
+    const events = [];
+
+    console.log(`Fetching public events for ${owner}...`);
+
+    while (url && page < maxPages) {
+      const response = await this.request(url);
+
+      if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+      }
+
+      this.validators[url] = readValidators(response);
+      page++;
+
+      events.push(...await response.json());
+      url = parseNextLink(response.headers.get('Link'));
+    }
+
+    console.log(`Fetched ${events.length} events from GitHub`);
+
+    return events;
+  }
+
+  /**
+   * Fetch the repositories pinned on a user's or organization's profile
+   * Pinned items are only exposed through GraphQL (authentication required)
+   * @param {string} owner - User or organization login (default: the client's username)
+   * @returns {Promise<Array>} Repository names in pinned order
+   */
+  async fetchPinnedRepositories(owner = this.username) {
+    const data = await this.graphql(PINNED_QUERY, { login: owner });
+
+    if (!data || !data.repositoryOwner || !data.repositoryOwner.pinnedItems) {
+      throw new Error(`GitHub user or organization not found: ${owner}`);
+    }
+
+    const names = data.repositoryOwner.pinnedItems.nodes
+      .filter(node => node && node.name)
+      .map(node => node.name);
+
+    console.log(`Fetched ${names.length} pinned repositories for ${owner}`);
+
+    return names;
+  }
+
+  /**
+   * Send a query to the GitHub GraphQL API
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Response data
+   */
+  async graphql(query, variables = {}) {
+    const response = await this.request(this.graphqlUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables })
+    }, 'graphql');
+
+    if (!response.ok) {
+      throw new Error(`GitHub GraphQL error: ${response.status} ${response.statusText}`);
+    }
+
+    const payload = await response.json();
+
+    if (payload.errors && payload.errors.length > 0) {
+      throw new Error(`GitHub GraphQL error: ${payload.errors[0].message}`);
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Convert a GraphQL repository node into the REST repository shape
+   * @param {Object} node - Repository node from the GraphQL API
+   * @returns {Object} Repository data as returned by the REST API
+   */
+  normalizeGraphQLRepository(node) {
+    const topicNodes = node.repositoryTopics ? node.repositoryTopics.nodes : [];
+
+    return {
+      id: node.databaseId,
+      name: node.name,
+      owner: node.owner,
+      description: node.description,
+      html_url: node.url,
+      homepage: node.homepageUrl,
+      topics: topicNodes.map(topicNode => topicNode.topic.name),
+      updated_at: node.updatedAt,
+      fork: node.isFork,
+      is_template: node.isTemplate,
+      pushed_at: node.pushedAt,
+      archived: node.isArchived,
+      stargazers_count: node.stargazerCount,
+      forks_count: node.forkCount,
+      license: node.licenseInfo ? { spdx_id: node.licenseInfo.spdxId, name: node.licenseInfo.name } : null,
+      language: node.primaryLanguage ? node.primaryLanguage.name : null,
+      default_branch: node.defaultBranchRef ? node.defaultBranchRef.name : null,
+      // GraphQL has no has_pages flag; GitHub creates the github-pages environment for Pages sites
+      has_pages: Boolean(node.pagesEnvironment)
+    };
+  }
+
+  /**
+   * Convert a GraphQL languages connection into a language breakdown
+   * @param {Object|null} connection - languages { edges { size node { name color } } }
+   * @returns {Array|null} Language breakdown (see toLanguageBreakdown)
+   */
+  normalizeGraphQLLanguages(connection) {
+    if (!connection) {
+      return null;
+    }
+
+    const bytes = {};
+    const colors = {};
+    connection.edges.forEach(edge => {
+      bytes[edge.node.name] = edge.size;
+      if (edge.node.color) {
+        colors[edge.node.name] = edge.node.color;
+      }
+    });
+
+    return toLanguageBreakdown(bytes, colors);
+  }
+
+  /**
+   * Convert GraphQL release/tag data into a release summary
+   * @param {Object} node - Repository node with latestRelease and refs
+   * @returns {Object|null} Release summary (see fetchLatestRelease)
+   */
+  normalizeGraphQLRelease(node) {
+    if (node.latestRelease) {
+      return this.parseRelease({
+        tag_name: node.latestRelease.tagName,
+        name: node.latestRelease.name,
+        published_at: node.latestRelease.publishedAt,
+        body: node.latestRelease.description,
+        html_url: node.latestRelease.url
+      });
+    }
+
+    const tag = node.refs && node.refs.nodes[0];
+    return tag ? this.parseTag(tag.name, node.url) : null;
+  }
+
   /**
    * Enhance projects with README descriptions and logo images
    * @param {Array} projects - Array of project objects
+   * @param {Map|null} inlineData - README text and social preview per project id,
+   *   already fetched alongside the repositories (GraphQL mode)
    * @returns {Promise<Array>} Enhanced projects
    */
-  async enhanceProjects(projects) {
-    // Skip enhancement to reduce API calls and avoid rate limiting
-    console.log('Skipping README and logo enhancement to avoid rate limits');
-    return projects;
-    
-    /* Original enhancement code - disabled to reduce API calls
-    const enhancedProjects = [];
-    
-    for (const project of projects) {
-      try {
-        // Fetch README and logo in parallel
-        const [readme, logo] = await Promise.all([
-          this.fetchReadmeDescription(project.name),
-          this.fetchLogo(project.name)
-        ]);
-        
-        // Update project with enhanced data
-        const enhanced = {
+  async enhanceProjects(projects, inlineData = null) {
+    // Data fetched in the same query costs no extra requests
+    if (inlineData) {
+      return projects.map(project => {
+        const extra = inlineData.get(project.id);
+        if (!extra) {
+          return project;
+        }
+
+        return {
           ...project,
-          description: readme || project.description,
-          thumbnail: logo || project.thumbnail
+          description: this.extractDescription(extra.readme) || project.description,
+          thumbnail: extra.socialPreview || project.thumbnail,
+          languages: extra.languages || project.languages,
+          release: extra.release || project.release,
+          enriched: true
         };
-        
-        enhancedProjects.push(enhanced);
-      } catch (error) {
-        // If enhancement fails, use original project
-        console.warn(`Failed to enhance ${project.name}:`, error.message);
-        enhancedProjects.push(project);
+      });
+    }
+
+    // REST mode: README and logo requests are made after filtering, for the
+    // displayed projects only (see EnrichmentPipeline)
+    return projects;
+  }
+
+  /**
+   * Fetch raw README content, conditionally when a validator is given
+   * @param {string} repoName - Repository name
+   * @param {string} owner - Repository owner (default: the client's username)
+   * @param {Object|null} validator - { etag, lastModified } from a previous fetch
+   * @returns {Promise<Object>} { notModified, text, validator } - text is null if
+   *   the README is unchanged or missing
+   */
+  async fetchReadme(repoName, owner = this.username, validator = null) {
+    const url = `${this.apiBase}/repos/${owner}/${repoName}/readme`;
+    const response = await this.request(url, {
+      headers: {
+        'Accept': 'application/vnd.github.v3.raw',
+        ...conditionalHeaders(validator)
       }
+    });
+
+    if (response.status === 304) {
+      return { notModified: true, text: null, validator };
     }
-    
-    return enhancedProjects;
-    */
+
+    if (!response.ok) {
+      return { notModified: false, text: null, validator: null };
+    }
+
+    return {
+      notModified: false,
+      text: await response.text(),
+      validator: readValidators(response)
+    };
   }
 
   /**
    * Fetch README content and extract description
    * @param {string} repoName - Repository name
+   * @param {string} owner - Repository owner (default: the client's username)
    * @returns {Promise<string|null>} Extracted description or null
    */
-  async fetchReadmeDescription(repoName) {
+  async fetchReadmeDescription(repoName, owner = this.username) {
     try {
-      const url = `${this.apiBase}/repos/${this.username}/${repoName}/readme`;
-      const response = await fetch(url, {
-        headers: { 'Accept': 'application/vnd.github.v3.raw' }
-      });
-      
-      if (!response.ok) {
-        return null;
-      }
-      
-      const readme = await response.text();
+      const readme = await this.fetchReadme(repoName, owner);
       
       // Extract first paragraph or description section
-      const description = this.extractDescription(readme);
-      
-      return description;
+      return this.extractDescription(readme.text);
     } catch (error) {
       console.warn(`Failed to fetch README for ${repoName}:`, error.message);
       return null;
@@ -120,42 +584,7 @@ export class GitHubClient {
    * @returns {string|null} Extracted description
    */
   extractDescription(readme) {
-    if (!readme) return null;
-    
-    // Remove title (first line starting with #)
-    const lines = readme.split('\n');
-    let startIndex = 0;
-    
-    // Skip title and empty lines
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line && !line.startsWith('#')) {
-        startIndex = i;
-        break;
-      }
-    }
-    
-    // Get first paragraph (until empty line or next heading)
-    const paragraphLines = [];
-    for (let i = startIndex; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Stop at empty line or next heading
-      if (!line || line.startsWith('#')) {
-        break;
-      }
-      
-      paragraphLines.push(line);
-    }
-    
-    const description = paragraphLines.join(' ').trim();
-    
-    // Limit length and clean up markdown
-    if (description) {
-      return this.cleanMarkdown(description).substring(0, 200);
-    }
-    
-    return null;
+    return extractDescription(readme);
   }
 
   /**
@@ -164,55 +593,145 @@ export class GitHubClient {
    * @returns {string} Cleaned text
    */
   cleanMarkdown(text) {
-    return text
-      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Remove links
-      .replace(/[*_~`]/g, '') // Remove formatting
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim();
+    return cleanMarkdown(text);
   }
 
   /**
-   * Fetch logo/icon from repository
+   * Fetch the language breakdown of a repository
    * @param {string} repoName - Repository name
-   * @returns {Promise<string|null>} Logo URL or null
+   * @param {string} owner - Repository owner (default: the client's username)
+   * @returns {Promise<Array|null>} Language breakdown (see toLanguageBreakdown) or null
    */
-  async fetchLogo(repoName) {
-    // Common logo file paths to check
-    const logoPaths = [
-      'logo.png',
-      'logo.svg',
-      'icon.png',
-      'icon.svg',
-      'assets/logo.png',
-      'assets/logo.svg',
-      'assets/icon.png',
-      'assets/icon.svg',
-      'public/logo.png',
-      'public/logo.svg',
-      'public/icon.png',
-      'public/icon.svg',
-      'images/logo.png',
-      'images/logo.svg'
-    ];
-    
-    for (const path of logoPaths) {
-      try {
-        const url = `${this.apiBase}/repos/${this.username}/${repoName}/contents/${path}`;
-        const response = await fetch(url);
-        
-        if (response.ok) {
-          const data = await response.json();
-          // Return raw GitHub content URL
-          return `https://raw.githubusercontent.com/${this.username}/${repoName}/main/${path}`;
-        }
-      } catch (error) {
-        // Continue to next path
-      }
+  async fetchLanguages(repoName, owner = this.username) {
+    const url = `${this.apiBase}/repos/${owner}/${repoName}/languages`;
+    const response = await this.request(url);
+
+    if (!response.ok) {
+      return null;
     }
-    
+
+    return toLanguageBreakdown(await response.json());
+  }
+
+  /**
+   * Fetch the latest release of a repository, falling back to the latest tag
+   * @param {string} repoName - Repository name
+   * @param {string} owner - Repository owner (default: the client's username)
+   * @param {Object|null} budget - Request budget ({ tryTake() }) for the tag fallback
+   * @returns {Promise<Object|null>} { tag, name, date, notes, url, isTag } or null if
+   *   the repository has neither releases nor tags
+   */
+  async fetchLatestRelease(repoName, owner = this.username, budget = null) {
+    const releaseResponse = await this.request(`${this.apiBase}/repos/${owner}/${repoName}/releases/latest`);
+
+    if (releaseResponse.ok) {
+      return this.parseRelease(await releaseResponse.json());
+    }
+
+    // 404 means no published release - tags are the next best signal
+    if (releaseResponse.status !== 404 || (budget && !budget.tryTake())) {
+      return null;
+    }
+
+    const tagsResponse = await this.request(`${this.apiBase}/repos/${owner}/${repoName}/tags?per_page=1`);
+    if (!tagsResponse.ok) {
+      return null;
+    }
+
+    const [tag] = await tagsResponse.json();
+    return tag ? this.parseTag(tag.name, `https://github.com/${owner}/${repoName}`) : null;
+  }
+
+  /**
+   * Parse a GitHub release response into a release summary
+   * @param {Object} release - Release data ({ tag_name, name, published_at, body, html_url })
+   * @returns {Object} Release summary
+   */
+  parseRelease(release) {
+    return {
+      tag: release.tag_name,
+      name: release.name || release.tag_name,
+      date: release.published_at || null,
+      notes: summarizeReleaseNotes(release.body, this.releaseNotesLines),
+      url: release.html_url || null,
+      isTag: false
+    };
+  }
+
+  /**
+   * Build a release summary for a bare tag
+   * @param {string} tagName - Tag name
+   * @param {string} repoUrl - Repository URL
+   * @returns {Object} Release summary without date or notes
+   */
+  parseTag(tagName, repoUrl) {
+    return {
+      tag: tagName,
+      name: tagName,
+      date: null,
+      notes: [],
+      url: `${repoUrl}/tree/${encodeURIComponent(tagName)}`,
+      isTag: true
+    };
+  }
+
+  /**
+   * Find a logo/icon in a repository using one git tree listing
+   * @param {string} repoName - Repository name
+   * @param {string} owner - Repository owner (default: the client's username)
+   * @param {Object} options - Lookup options
+   * @param {string|null} options.branch - Default branch (HEAD when unknown)
+   * @param {Object|null} options.budget - Request budget ({ tryTake() })
+   * @param {Array} options.patterns - Globs that mark files as logos
+   * @param {boolean} options.socialPreview - Fall back to the repository's custom social preview image
+   * @returns {Promise<string|null>} Logo URL or null (also when out of budget)
+   */
+  async fetchLogo(repoName, owner = this.username, options = {}) {
+    const branch = options.branch || 'HEAD';
+
+    if (options.budget && !options.budget.tryTake()) {
+      return null;
+    }
+
+    const url = `${this.apiBase}/repos/${owner}/${repoName}/git/trees/${encodeURIComponent(branch)}?recursive=1`;
+    const response = await this.request(url);
+
+    // Empty repositories have no tree
+    const tree = response.ok ? (await response.json()).tree : [];
+    const logoPath = findLogoPath(tree, options.patterns || []);
+
+    if (logoPath) {
+      const encodedPath = logoPath.split('/').map(encodeURIComponent).join('/');
+      return `https://raw.githubusercontent.com/${owner}/${repoName}/${branch}/${encodedPath}`;
+    }
+
+    if (options.socialPreview && this.token && (!options.budget || options.budget.tryTake())) {
+      return this.fetchSocialPreview(repoName, owner);
+    }
+
     return null;
   }
 
+  /**
+   * Fetch the custom social preview image of a repository
+   * Only GraphQL exposes usesCustomOpenGraphImage (authentication required); the preview
+   * GitHub generates for every repository is not a logo and is ignored
+   * @param {string} repoName - Repository name
+   * @param {string} owner - Repository owner (default: the client's username)
+   * @returns {Promise<string|null>} Image URL or null if none is set (or on error)
+   */
+  async fetchSocialPreview(repoName, owner = this.username) {
+    try {
+      const data = await this.graphql(SOCIAL_PREVIEW_QUERY, { owner, name: repoName });
+      const repository = data && data.repository;
+
+      return repository && repository.usesCustomOpenGraphImage ? repository.openGraphImageUrl : null;
+    } catch (error) {
+      console.warn(`Failed to fetch social preview for ${owner}/${repoName}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Parse a GitHub repository response into a Project object
    * @param {Object} repoData - Raw repository data from GitHub API
@@ -228,27 +747,59 @@ export class GitHubClient {
     return {
       id: String(repoData.id),
       name: repoData.name || '',
+      owner: repoData.owner ? repoData.owner.login : null,
+      defaultBranch: repoData.default_branch || null,
       description: description,
       repoUrl: repoData.html_url || '',
-      liveUrl: repoData.homepage || repoData.html_url || '',
+      homepage: repoData.homepage || null,
+      liveUrl: repoData.homepage || repoData.html_url || '', // Until the URL resolver runs
       thumbnail: null, // Will be set later if custom thumbnails are configured
       topics: repoData.topics || [],
       updatedAt: repoData.updated_at || new Date().toISOString(),
+      pushedAt: repoData.pushed_at || null,
       isPriority: false, // Will be set by project processor
       source: 'github',
-      fork: repoData.fork || false
+      fork: repoData.fork || false,
+      template: repoData.is_template || false,
+      archived: repoData.archived || false,
+      stars: repoData.stargazers_count || 0,
+      forks: repoData.forks_count || 0,
+      language: repoData.language || null,
+      languages: null, // Set by enrichment when the language bar is enabled
+      release: null, // Set by enrichment when releases are enabled
+      hasPages: repoData.has_pages || false,
+      deployment: null, // Set by the deployment providers when a linked project is found
+      license: this.parseLicense(repoData.license)
     };
   }
 
   /**
-   * Sort repositories by most recently updated
+   * Get a short license label from repository license data
+   * @param {Object|null} license - License object ({ spdx_id, name })
+   * @returns {string|null} SPDX id, license name for unrecognized licenses, or null
+   */
+  parseLicense(license) {
+    if (!license) {
+      return null;
+    }
+
+    // GitHub reports licenses it cannot identify as NOASSERTION ("Other")
+    if (license.spdx_id && license.spdx_id !== 'NOASSERTION') {
+      return license.spdx_id;
+    }
+
+    return license.name || null;
+  }
+
+  /**
+   * Sort repositories by most recently pushed (or updated)
    * @param {Array} repos - Array of repository objects
    * @returns {Array} Sorted array
    */
   sortByUpdated(repos) {
     return [...repos].sort((a, b) => {
-      const dateA = new Date(a.updatedAt);
-      const dateB = new Date(b.updatedAt);
+      const dateA = new Date(a.pushedAt || a.updatedAt);
+      const dateB = new Date(b.pushedAt || b.updatedAt);
       return dateB - dateA; // Most recent first
     });
   }
@@ -0,0 +1,74 @@
+// Languages - Language breakdown helpers for project cards
+// Turns byte counts from the GitHub languages API into GitHub-style bar segments
+
+// Colors used by GitHub (linguist) for common languages
+const LANGUAGE_COLORS = {
+  JavaScript: '#f1e05a',
+  TypeScript: '#3178c6',
+  Python: '#3572A5',
+  Solidity: '#AA6746',
+  Rust: '#dea584',
+  Go: '#00ADD8',
+  Java: '#b07219',
+  Kotlin: '#A97BFF',
+  Swift: '#F05138',
+  Dart: '#00B4AB',
+  Ruby: '#701516',
+  PHP: '#4F5D95',
+  'C#': '#178600',
+  'C++': '#f34b7d',
+  C: '#555555',
+  HTML: '#e34c26',
+  CSS: '#563d7c',
+  SCSS: '#c6538c',
+  Vue: '#41b883',
+  Svelte: '#ff3e00',
+  Shell: '#89e051',
+  Dockerfile: '#384d54',
+  Move: '#4a137a',
+  Cairo: '#ff4a48',
+  Jupyter: '#DA5B0B',
+  'Jupyter Notebook': '#DA5B0B'
+};
+
+/**
+ * Get the display color of a language
+ * @param {string} name - Language name
+ * @returns {string} CSS color (GitHub's color, or a stable color derived from the name)
+ */
+export function getLanguageColor(name) {
+  if (LANGUAGE_COLORS[name]) {
+    return LANGUAGE_COLORS[name];
+  }
+
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) {
+    hash = ((hash << 5) - hash) + name.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return `hsl(${Math.abs(hash) % 360}, 55%, 55%)`;
+}
+
+/**
+ * Convert byte counts per language into a sorted breakdown
+ * @param {Object} bytesByLanguage - { [language]: bytes } as returned by the languages API
+ * @param {Object} colors - Known colors by language (e.g. from GraphQL), optional
+ * @returns {Array|null} Array of { name, bytes, percent, color }, largest first, or null if empty
+ */
+export function toLanguageBreakdown(bytesByLanguage, colors = {}) {
+  const entries = Object.entries(bytesByLanguage || {});
+  const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+
+  if (total === 0) {
+    return null;
+  }
+
+  return entries
+    .map(([name, bytes]) => ({
+      name,
+      bytes,
+      percent: Math.round((bytes / total) * 1000) / 10,
+      color: colors[name] || getLanguageColor(name)
+    }))
+    .sort((a, b) => b.bytes - a.bytes);
+}
@@ -0,0 +1,180 @@
+// Link Health - Checks that live URLs respond and demotes dead ones
+// Probes through the proxy server when CORS hides the status from the browser
+
+import { mapWithConcurrency } from './concurrency.js';
+import { getUrlCandidates, DEFAULT_FALLBACK_ORDER } from './url-resolver.js';
+
+/**
+ * Check whether an HTTP status means the site is up
+ * Auth and rate-limit responses come from a live server, so they count as up
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True if the site is up
+ */
+export function isHealthyStatus(status) {
+  return (status >= 200 && status < 400) || status === 401 || status === 403 || status === 429;
+}
+
+/**
+ * Probe a URL and measure its latency
+ * With opaque set (browser without proxy), a cross-origin response only proves the
+ * host is reachable - its status stays unknown (null)
+ * @param {string} url - URL to probe
+ * @param {Object} options - Probe options
+ * @param {number} options.timeout - Timeout in milliseconds (default: 5000)
+ * @param {boolean} options.opaque - Probe with a no-cors request (default: false)
+ * @returns {Promise<Object>} { url, ok, status, latency, checkedAt, error }
+ */
+export async function probeUrl(url, { timeout = 5000, opaque = false } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const started = Date.now();
+  const checkedAt = new Date().toISOString();
+
+  try {
+    const init = { method: 'HEAD', redirect: 'follow', signal: controller.signal };
+    if (opaque) {
+      init.mode = 'no-cors';
+    }
+
+    let response = await fetch(url, init);
+
+    // Some servers reject HEAD - retry with GET
+    if (response.status === 405 || response.status === 501) {
+      response = await fetch(url, { ...init, method: 'GET' });
+    }
+
+    const isOpaque = response.type === 'opaque';
+
+    return {
+      url,
+      ok: isOpaque || isHealthyStatus(response.status),
+      status: isOpaque ? null : response.status,
+      latency: Date.now() - started,
+      checkedAt,
+      error: null
+    };
+  } catch (error) {
+    return {
+      url,
+      ok: false,
+      status: null,
+      latency: null,
+      checkedAt,
+      error: error.name === 'AbortError' ? 'timeout' : error.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * LinkHealthChecker - Probes the live URLs of projects and falls back to the next candidate
+ */
+export class LinkHealthChecker {
+  /**
+   * @param {Object} options - Checker options
+   * @param {string|null} options.endpoint - Link-health endpoint of the proxy server (optional)
+   * @param {number} options.timeout - Probe timeout in milliseconds (default: 5000)
+   * @param {number} options.concurrency - Maximum projects checked at once (default: 4)
+   * @param {Array} options.fallbackOrder - URL fallback chain (see url-resolver.js)
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || null;
+    this.timeout = options.timeout || 5000;
+    this.concurrency = options.concurrency || 4;
+    this.fallbackOrder = options.fallbackOrder || DEFAULT_FALLBACK_ORDER;
+
+    // Browsers cannot read cross-origin statuses; servers can
+    this.opaque = typeof document !== 'undefined';
+  }
+
+  /**
+   * Check a single URL, through the proxy when configured
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} { url, ok, status, latency, checkedAt, error }
+   */
+  async check(url) {
+    if (!this.endpoint) {
+      return probeUrl(url, { timeout: this.timeout, opaque: this.opaque });
+    }
+
+    try {
+      const response = await fetch(`${this.endpoint}?url=${encodeURIComponent(url)}`);
+      if (!response.ok) {
+        throw new Error(`Link-health endpoint error: ${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      // Proxy unavailable - a direct probe is better than nothing
+      console.warn(`Link-health endpoint failed for ${url}, probing directly:`, error.message);
+      return probeUrl(url, { timeout: this.timeout, opaque: this.opaque });
+    }
+  }
+
+  /**
+   * Check a project's live URL, demoting it to the next candidate while unreachable
+   * The repository URL is the last resort and is not checked. A project checked before
+   * starts again from the URL the resolver chose, so a demo that is back is restored.
+   * @param {Object} project - Project object
+   * @returns {Promise<Object>} Project with liveUrl and linkHealth set - the health of the URL
+   *   in use ({ url, ok, status, latency, checkedAt, error }) plus resolvedUrl (the resolver's
+   *   choice), fallbackUrl (the URL used instead of it, or null) and unreachableUrls
+   */
+  async checkProject(project) {
+    const resolvedUrl = project.linkHealth ? project.linkHealth.resolvedUrl : project.liveUrl;
+    const candidates = getUrlCandidates({ ...project, liveUrl: resolvedUrl }, this.fallbackOrder)
+      .filter(url => url !== project.repoUrl);
+
+    if (candidates.length === 0) {
+      return project;
+    }
+
+    let firstFailure = null;
+    let health = null;
+    const unreachableUrls = [];
+
+    for (const url of candidates) {
+      const result = await this.check(url);
+
+      if (result.ok) {
+        health = result;
+        break;
+      }
+
+      firstFailure = firstFailure || result;
+      unreachableUrls.push(url);
+      console.warn(`Live URL of ${project.name} is unreachable (${result.error || result.status}): ${url}`);
+    }
+
+    // Offline only when no candidate answered - the repository is then the last resort
+    const liveUrl = health ? health.url : project.repoUrl;
+
+    return {
+      ...project,
+      liveUrl,
+      linkHealth: {
+        ...(health || firstFailure),
+        resolvedUrl: candidates[0],
+        fallbackUrl: liveUrl !== candidates[0] ? liveUrl : null,
+        unreachableUrls
+      }
+    };
+  }
+
+  /**
+   * Check the live URLs of projects with bounded concurrency
+   * @param {Array} projects - Array of project objects
+   * @param {Function|null} onUpdate - Called with each project whose health was checked
+   * @returns {Promise<Array>} Projects with liveUrl and linkHealth updated, in the same order
+   */
+  async checkProjects(projects, onUpdate = null) {
+    return mapWithConcurrency(projects, this.concurrency, async project => {
+      const checkedProject = await this.checkProject(project);
+
+      if (onUpdate && checkedProject !== project) {
+        onUpdate(checkedProject);
+      }
+      return checkedProject;
+    });
+  }
+}
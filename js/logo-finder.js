@@ -0,0 +1,126 @@
+// Logo Finder - Picks the file that most likely is a project's logo
+// Ranks the entries of a single git tree listing instead of probing paths one by one
+
+import { matchesGlob } from './patterns.js';
+
+// Image formats by preference (vector first)
+const EXTENSION_SCORES = { svg: 10, png: 8, webp: 6, jpg: 4, jpeg: 4, ico: 2 };
+
+// File names by how strongly they suggest a logo
+const NAME_SCORES = [
+  [/^logo\b/, 40],
+  [/logo/, 35],
+  [/^icon\b/, 25],
+  [/icon/, 20],
+  [/^favicon\b/, 12]
+];
+
+// Directories that hold dependencies, build output or test fixtures
+const IGNORED_DIRECTORIES = /(^|\/)(node_modules|vendor|dist|build|out|coverage|\.git|\.next|tests?|__tests__|fixtures)\//i;
+
+// Directories projects usually keep their branding in, best first
+const PREFERRED_DIRECTORIES = ['', 'public', 'assets', 'images', 'img', 'static', 'src/assets', 'public/images', 'public/assets'];
+
+// Files outside this range are placeholders or full-size artwork
+const MIN_LOGO_BYTES = 100;
+const MAX_LOGO_BYTES = 1024 * 1024;
+
+/**
+ * Find the best logo candidate in a git tree listing
+ * @param {Array} tree - Tree entries from the git trees API ({ path, type, size })
+ * @param {Array} patterns - Globs that mark files as logos regardless of their name
+ * @returns {string|null} Path of the best candidate or null if none
+ */
+export function findLogoPath(tree, patterns = []) {
+  const [best] = rankLogoCandidates(tree, patterns);
+  return best ? best.path : null;
+}
+
+/**
+ * Rank the image files of a tree listing by how likely they are the logo
+ * @param {Array} tree - Tree entries from the git trees API ({ path, type, size })
+ * @param {Array} patterns - Globs that mark files as logos regardless of their name
+ * @returns {Array} Array of { path, score }, best first
+ */
+export function rankLogoCandidates(tree, patterns = []) {
+  const candidates = [];
+
+  for (const entry of tree || []) {
+    if (entry.type !== 'blob' || IGNORED_DIRECTORIES.test(entry.path)) {
+      continue;
+    }
+
+    const score = scoreLogoPath(entry, patterns);
+    if (score !== null) {
+      candidates.push({ path: entry.path, score });
+    }
+  }
+
+  // Stable tiebreaker: shallower paths, then alphabetical
+  return candidates.sort((a, b) =>
+    b.score - a.score ||
+    a.path.split('/').length - b.path.split('/').length ||
+    a.path.localeCompare(b.path)
+  );
+}
+
+/**
+ * Score a single tree entry
+ * @param {Object} entry - Tree entry ({ path, size })
+ * @param {Array} patterns - Globs that mark files as logos regardless of their name
+ * @returns {number|null} Score, or null if the entry is not a candidate
+ */
+function scoreLogoPath(entry, patterns) {
+  const parts = entry.path.split('/');
+  const fileName = parts.pop().toLowerCase();
+  const directory = parts.join('/').toLowerCase();
+  const dotIndex = fileName.lastIndexOf('.');
+  const baseName = dotIndex > 0 ? fileName.slice(0, dotIndex) : fileName;
+  const extension = dotIndex > 0 ? fileName.slice(dotIndex + 1) : '';
+
+  if (!(extension in EXTENSION_SCORES)) {
+    return null;
+  }
+  if (entry.size !== undefined && (entry.size < MIN_LOGO_BYTES || entry.size > MAX_LOGO_BYTES)) {
+    return null;
+  }
+
+  const matchesPattern = patterns.some(pattern => matchesGlob(entry.path, pattern));
+  const nameRule = NAME_SCORES.find(([regex]) => regex.test(baseName));
+
+  if (!matchesPattern && !nameRule) {
+    return null;
+  }
+
+  let score = EXTENSION_SCORES[extension];
+
+  // Configured patterns outrank any naming convention
+  if (matchesPattern) {
+    score += 1000;
+  }
+  if (nameRule) {
+    score += nameRule[1];
+  }
+
+  score += sizeHintScore(baseName);
+
+  const directoryRank = PREFERRED_DIRECTORIES.indexOf(directory);
+  score += directoryRank === -1 ? -2 * parts.length : PREFERRED_DIRECTORIES.length - directoryRank;
+
+  return score;
+}
+
+/**
+ * Score size hints in a file name (logo-512, icon-192x192, logo@2x)
+ * @param {string} baseName - File name without extension
+ * @returns {number} Bonus from 0 to 8, larger images scoring higher
+ */
+function sizeHintScore(baseName) {
+  const dimensions = baseName.match(/(\d{2,4})x\1/) || baseName.match(/(\d{2,4})(?:px)?$/);
+
+  if (dimensions) {
+    return Math.min(Number(dimensions[1]), 512) / 64;
+  }
+
+  return /@[23]x$/.test(baseName) ? 2 : 0;
+}
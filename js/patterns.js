@@ -0,0 +1,80 @@
+// Patterns - Glob matching for repository names and file paths
+// Shared by logo discovery and filter rules
+
+/**
+ * Convert a glob to a regular expression
+ * Supports `*` (within a path segment), `**` (across segments) and `?`
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Case-insensitive regular expression matching the whole string
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches zero directories
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Compiled name patterns by pattern string (null for invalid regular expressions)
+const compiledPatterns = new Map();
+
+/**
+ * Convert a name pattern into a regular expression
+ * '/^demo-/i' is a regular expression, anything else a glob (see globToRegExp)
+ * Each pattern is compiled once; an invalid regular expression is reported and never matches
+ * @param {string} pattern - Name pattern
+ * @returns {RegExp|null} Regular expression, or null if the pattern is invalid
+ */
+export function patternToRegExp(pattern) {
+  if (compiledPatterns.has(pattern)) {
+    return compiledPatterns.get(pattern);
+  }
+
+  let regex = null;
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+
+  if (!regexMatch) {
+    regex = globToRegExp(String(pattern));
+  } else {
+    try {
+      // The compiled regex is reused, so drop the stateful g and y flags
+      regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      console.warn(`Invalid name pattern "${pattern}", skipping:`, error.message);
+    }
+  }
+
+  compiledPatterns.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Check if a path matches a glob
+ * Globs without a slash match the last path segment, like .gitignore entries
+ * @param {string} path - Path or name to test
+ * @param {string} glob - Glob pattern
+ * @returns {boolean} True if the path matches
+ */
+export function matchesGlob(path, glob) {
+  const target = glob.includes('/') ? path : path.split('/').pop();
+  return globToRegExp(glob).test(target);
+}
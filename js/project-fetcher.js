@@ -2,13 +2,31 @@
 // This orchestrates all other modules to fetch, process, and display projects
 
 import { config } from './config.js';
-import { CacheManager } from './cache-manager.js';
+import { CacheManager, fingerprint } from './cache-manager.js';
 import { GitHubClient } from './github-client.js';
-import { VercelClient } from './vercel-client.js';
+import { ProxyClient } from './proxy-client.js';
+import { EnrichmentPipeline } from './enrichment-pipeline.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { LinkHealthChecker } from './link-health.js';
 import { ProjectRenderer } from './project-renderer.js';
-import { processProjects } from './project-processor.js';
-import { updateProjectWithVercelUrl } from './url-resolver.js';
-import { retryWithBackoff, handleApiError } from './error-handler.js';
+import {
+  processProjectsDetailed,
+  groupProjects,
+  hasProjectGroups,
+  hasShowMore,
+  toGroupLayout,
+  fromGroupLayout,
+  hasEnoughCandidates,
+  applySourceRules,
+  dedupeById,
+  applyProjectOverrides,
+  applyContentOverrides,
+  mergeManualProjects
+} from './project-processor.js';
+import { applyFilterRules } from './filter-rules.js';
+import { createProviders } from './providers/registry.js';
+import { updateProjectWithLiveUrl } from './url-resolver.js';
+import { retryWithBackoff, handleApiError, isRateLimitError, formatErrorMessage } from './error-handler.js';
 
 /**
  * ProjectFetcher - Main class that coordinates fetching, caching, and rendering projects
@@ -16,16 +34,86 @@ import { retryWithBackoff, handleApiError } from './error-handler.js';
 export class ProjectFetcher {
   /**
    * @param {Object} userConfig - Configuration object (merged with defaults)
+   * @param {Object} options - Runtime options
+   * @param {Storage} options.storage - Cache storage to use instead of LocalStorage (e.g. on the server)
    */
-  constructor(userConfig = {}) {
+  constructor(userConfig = {}, options = {}) {
     // Merge user config with defaults
     this.config = { ...config, ...userConfig };
     
     // Initialize module instances
-    this.cacheManager = new CacheManager(`github-projects-v${this.config.cacheVersion || 1}`, this.config.cacheExpiry);
-    this.githubClient = new GitHubClient(this.config.githubUsername);
-    this.vercelClient = new VercelClient(this.config.vercelToken, this.config.vercelTeamId);
-    this.renderer = new ProjectRenderer(this.config.containerSelector);
+    this.cacheManager = new CacheManager(
+      `github-projects-v${this.config.cacheVersion || 1}`,
+      this.config.cacheExpiry,
+      options.storage
+    );
+    this.githubClient = new GitHubClient(this.config.githubUsername, {
+      apiMode: this.config.githubApiMode,
+      apiBase: this.config.githubApiBase,
+      token: this.config.githubToken,
+      rateLimitReserve: this.config.githubRateLimitReserve,
+      maxPages: this.config.githubMaxPages,
+      releaseNotesLines: this.config.releaseNotesLines
+    });
+    this.providers = createProviders(this.config);
+    this.enrichmentPipeline = new EnrichmentPipeline(
+      this.githubClient,
+      new CacheManager(
+        `github-enrichment-v${this.config.cacheVersion || 1}`,
+        this.config.enrichmentCacheTtl,
+        options.storage
+      ),
+      {
+        budget: this.config.enrichmentBudget,
+        concurrency: this.config.enrichmentConcurrency,
+        ttl: this.config.enrichmentCacheTtl,
+        logoPatterns: this.config.logoPatterns,
+        socialPreviewFallback: this.config.logoSocialPreviewFallback,
+        fetchLanguages: Boolean(this.config.cardStats && this.config.cardStats.languageBar),
+        fetchReleases: this.config.fetchReleases
+      }
+    );
+    this.linkHealthChecker = new LinkHealthChecker({
+      endpoint: this.config.linkHealthEndpoint,
+      timeout: this.config.linkHealthTimeout,
+      concurrency: this.config.linkHealthConcurrency,
+      fallbackOrder: this.config.urlFallbackOrder
+    });
+    this.proxyClient = new ProxyClient(this.config.projectsEndpoint);
+    this.renderer = new ProjectRenderer(this.config.containerSelector, {
+      showOwner: this.config.showProjectOwner,
+      showDeployment: this.config.showDeploymentStatus,
+      showPreview: this.config.showPreviewLinks,
+      stats: this.config.cardStats,
+      showMore: this.config.showMoreMode,
+      pageSize: this.config.maxProjects,
+      onReveal: projectIds => this.processRevealed(projectIds)
+    });
+
+    // Set when the last fetch stopped on a GitHub rate limit
+    this.rateLimitError = null;
+
+    // Set when a GitHub source could not be fetched in the last run
+    this.fetchIncomplete = false;
+
+    // Full names of the repositories filterRules hid in the last run (see getHiddenRepos)
+    this.hiddenRepos = [];
+
+    // Set when the rendered projects come from a cache entry of an incomplete fetch
+    this.cachedIncomplete = false;
+
+    // Projects left out by the last run, each with an excludeReason (for debugging)
+    this.excludedProjects = [];
+
+    // Pinned repository names the last run was processed with (priorityMode 'pinned')
+    this.pinnedRepos = null;
+
+    // Groups of the current projects by project id (see toGroupLayout), null without projectGroups
+    this.groupLayout = null;
+
+    // Projects last rendered, and the ids of deferred projects being processed
+    this.displayedProjects = [];
+    this.revealing = new Set();
   }
 
   /**
@@ -45,12 +133,13 @@ export class ProjectFetcher {
     this.renderer.showLoading();
 
     try {
-      // Check for cached data
-      const cachedData = this.cacheManager.get();
+      // Check for cached data (null once it expired)
+      const cachedData = this.getCachedProjects();
       
-      if (cachedData && !this.cacheManager.isExpired()) {
+      if (cachedData) {
         console.log('Using cached project data');
-        this.renderer.render(cachedData);
+        this.renderProjects(cachedData);
+        this.showIncompleteNotice();
         
         // Fetch fresh data in background
         this.fetchAndUpdateProjects(true);
@@ -62,10 +151,11 @@ export class ProjectFetcher {
       console.error('Error during initialization:', error);
       
       // Try to use cached data as fallback
-      const cachedData = this.cacheManager.get();
+      const cachedData = this.getCachedProjects();
       if (cachedData) {
         console.log('Using cached data as fallback');
-        this.renderer.render(cachedData);
+        this.renderProjects(cachedData);
+        this.showIncompleteNotice();
       } else {
         this.renderer.showError('Unable to load projects. Please try again later.');
       }
@@ -79,13 +169,29 @@ export class ProjectFetcher {
    */
   async fetchAndUpdateProjects(isBackground = false) {
     try {
-      const projects = await this.fetchProjects();
-      
-      // Update cache
-      this.cacheManager.set(projects);
+      // Nothing changed upstream since the last fetch - keep the cached projects
+      if (await this.revalidateCache()) {
+        const cachedData = this.getCachedProjects();
+        this.renderProjects(cachedData);
+        await this.recheckLinkHealth(cachedData, project => this.renderer.updateProject(project));
+        
+        if (isBackground) {
+          console.log('Background update complete (not modified)');
+        }
+        return;
+      }
+
+      // Show cards as soon as the list is known and upgrade them as live URLs resolve
+      // (a background update keeps the cached cards until the final render)
+      const projects = await this.fetchAndCacheProjects(isBackground ? { deferCollapsed: true } : {
+        deferCollapsed: true,
+        onProcessed: processedProjects => this.renderProjects(processedProjects),
+        onUpdate: project => this.renderer.updateProject(project)
+      });
       
       // Render projects
-      this.renderer.render(projects);
+      this.renderProjects(projects);
+      this.showIncompleteNotice();
       
       if (isBackground) {
         console.log('Background update complete');
@@ -95,9 +201,10 @@ export class ProjectFetcher {
       
       if (!isBackground) {
         // Only show error if not in background mode
-        const cachedData = this.cacheManager.get();
+        const cachedData = this.getCachedProjects();
         if (cachedData) {
-          this.renderer.render(cachedData);
+          this.renderProjects(cachedData);
+          this.showIncompleteNotice();
         } else {
           this.renderer.showError('Unable to load projects. Please try again later.');
         }
@@ -106,47 +213,430 @@ export class ProjectFetcher {
   }
 
   /**
-   * Fetch projects from GitHub and Vercel APIs
+   * Load projects from the cache if nothing changed upstream, otherwise fetch and cache them
+   * @returns {Promise<Array>} Array of processed projects
+   */
+  async loadProjects() {
+    if (await this.revalidateCache()) {
+      return this.recheckLinkHealth(this.getCachedProjects());
+    }
+
+    return this.fetchAndCacheProjects();
+  }
+
+  /**
+   * Check the live URLs of cached projects again and update the cache
+   * Unchanged upstream data says nothing about whether the demos still respond
+   * @param {Array} projects - Cached projects
+   * @param {Function|null} onUpdate - Called with each project whose health was checked
+   * @returns {Promise<Array>} Projects with liveUrl and linkHealth refreshed
+   */
+  async recheckLinkHealth(projects, onUpdate = null) {
+    // The proxy checks link health itself
+    if (!this.config.linkHealthCheck || this.proxyClient.isConfigured()) {
+      return projects;
+    }
+
+    // Deferred projects have no live URL resolved yet
+    const checked = await this.linkHealthChecker.checkProjects(projects.filter(project => !project.deferred), onUpdate);
+    const checkedById = new Map(checked.map(project => [project.id, project]));
+
+    // Apply the results to the current cache - projects revealed (and completed) while
+    // checking must not be written back as deferred
+    const cacheEntry = this.cacheManager.getEntry();
+    const checkedProjects = (cacheEntry ? cacheEntry.data : projects).map(project => checkedById.get(project.id) || project);
+    this.cacheManager.update(checkedProjects);
+
+    return checkedProjects;
+  }
+
+  /**
+   * Fetch projects and cache them
+   * @param {Object} callbacks - Progress callbacks and options passed to fetchProjects
+   * @returns {Promise<Array>} Array of processed projects
+   */
+  async fetchAndCacheProjects(callbacks = {}) {
+    const projects = await this.fetchProjects(callbacks);
+    this.cachedIncomplete = false;
+
+    // A partial result (rate limit, failed source) must not replace complete cached
+    // projects - keep using those, even when expired, until a full fetch succeeds
+    const cacheEntry = this.fetchIncomplete ? this.cacheManager.getEntry() : null;
+    if (cacheEntry && !cacheEntry.incomplete && cacheEntry.fingerprint === this.getConfigFingerprint()) {
+      console.warn('Fetch incomplete, keeping the projects cached at', new Date(cacheEntry.createdAt || cacheEntry.timestamp).toLocaleString());
+      this.groupLayout = cacheEntry.groups || null;
+      this.hiddenRepos = cacheEntry.hiddenRepos || [];
+      return cacheEntry.data;
+    }
+
+    // Update cache, keeping the validators of the responses it was built from
+    // (a partial result must not be revalidated, or missing sources never come back)
+    this.cacheManager.set(
+      projects,
+      this.fetchIncomplete ? null : this.getValidators(),
+      this.getConfigFingerprint(),
+      { groups: this.groupLayout, incomplete: this.fetchIncomplete, hiddenRepos: this.hiddenRepos }
+    );
+
+    return projects;
+  }
+
+  /**
+   * Get the cached projects and restore the groups they were cached with
+   * @returns {Array|null} Cached projects or null if not found/expired
+   */
+  getCachedProjects() {
+    const cachedData = this.cacheManager.get();
+
+    if (cachedData) {
+      const cacheEntry = this.cacheManager.getEntry();
+      this.groupLayout = cacheEntry.groups || null;
+      this.hiddenRepos = cacheEntry.hiddenRepos || [];
+      this.cachedIncomplete = Boolean(cacheEntry.incomplete);
+    }
+    return cachedData;
+  }
+
+  /**
+   * Get the fingerprint of the config the cached projects are built with
+   * @returns {string} Fingerprint (changes whenever any config value changes)
+   */
+  getConfigFingerprint() {
+    return fingerprint(this.config);
+  }
+
+  /**
+   * Get the HTTP validators of the responses fetched in the last run
+   * @returns {Object} Validators by client ({ github, <provider name>..., pinned } or { proxy }) -
+   *   pinned is the list of pinned repository names (GraphQL responses carry no ETag)
+   */
+  getValidators() {
+    if (this.proxyClient.isConfigured()) {
+      return { proxy: this.proxyClient.validators };
+    }
+
+    const validators = { github: this.githubClient.validators };
+    this.providers.forEach(provider => {
+      validators[provider.name] = provider.validators;
+    });
+
+    if (this.pinnedRepos) {
+      validators.pinned = this.pinnedRepos;
+    }
+
+    return validators;
+  }
+
+  /**
+   * Revalidate cached projects with conditional requests
+   * The cache is only reused when every response it was built from is unchanged
+   * @returns {Promise<boolean>} True if the cache was refreshed without refetching
+   */
+  async revalidateCache() {
+    const cacheEntry = this.cacheManager.getEntry();
+    
+    if (!cacheEntry || !cacheEntry.validators) {
+      return false;
+    }
+
+    // The cache holds processed projects - unchanged listings do not make them current
+    // when the config changed or the live URLs and enrichment have not been redone for long
+    if (cacheEntry.fingerprint !== this.getConfigFingerprint()) {
+      console.log('Config changed since the projects were cached, fetching fresh data');
+      return false;
+    }
+    if (!cacheEntry.createdAt || Date.now() - cacheEntry.createdAt > this.config.cacheMaxAge) {
+      console.log('Cached projects reached cacheMaxAge, fetching fresh data');
+      return false;
+    }
+
+    const checks = [
+      ...Object.entries(cacheEntry.validators.github || {}).map(
+        ([url, validator]) => () => this.githubClient.isNotModified(url, validator)
+      ),
+      ...this.providers.flatMap(provider => Object.entries(cacheEntry.validators[provider.name] || {}).map(
+        ([url, validator]) => () => provider.isNotModified(url, validator)
+      )),
+      ...Object.entries(cacheEntry.validators.proxy || {}).map(
+        ([url, validator]) => () => this.proxyClient.isNotModified(url, validator)
+      )
+    ];
+
+    // Pinned repositories have no validators - compare the list itself
+    if (cacheEntry.validators.pinned) {
+      checks.push(() => this.isPinnedUnchanged(cacheEntry.validators.pinned));
+    }
+
+    if (checks.length === 0) {
+      return false;
+    }
+
+    try {
+      // Stop at the first change - a full fetch is needed anyway
+      for (const check of checks) {
+        if (!(await check())) {
+          return false;
+        }
+      }
+    } catch (error) {
+      console.warn('Cache revalidation failed:', error.message);
+      return false;
+    }
+
+    console.log('Upstream data not modified, refreshing cache timestamp');
+    return this.cacheManager.touch();
+  }
+
+  /**
+   * Check whether the pinned repositories are still the ones (and in the order) cached
+   * @param {Array} cachedPinned - Pinned repository names the cache was built with
+   * @returns {Promise<boolean>} True if the pinned list is unchanged
+   */
+  async isPinnedUnchanged(cachedPinned) {
+    const pinned = await this.githubClient.fetchPinnedRepositories(this.config.githubUsername);
+    const unchanged = pinned.join('\n') === cachedPinned.join('\n');
+
+    if (!unchanged) {
+      console.log('Pinned repositories changed, fetching fresh data');
+    }
+    return unchanged;
+  }
+
+  /**
+   * Fetch projects from GitHub and the deployment provider APIs
+   * @param {Object} options - Progress callbacks and options (optional)
+   * @param {Function} options.onProcessed - Called with the processed projects before URLs resolve
+   * @param {Function} options.onUpdate - Called with each project as its live URL resolves
+   * @param {boolean} options.deferCollapsed - Leave the projects behind "Show more" marked
+   *   deferred instead of resolving, checking and enriching them (see processRevealed)
    * @returns {Promise<Array>} Array of project objects
    */
-  async fetchProjects() {
+  async fetchProjects({ onProcessed = null, onUpdate = null, deferCollapsed = false } = {}) {
+    // The proxy runs this same pipeline server-side with its own tokens
+    if (this.proxyClient.isConfigured()) {
+      return this.fetchProjectsFromProxy();
+    }
+
     console.log('Fetching projects from GitHub...');
 
     let githubRepos = [];
+    this.rateLimitError = null;
+    this.fetchIncomplete = false;
+
+    // Featured projects from the GitHub profile or the config
+    const processConfig = await this.resolvePriorityConfig();
+
+    // Only keep validators of responses that contribute to this run
+    this.githubClient.validators = {};
+    this.providers.forEach(provider => provider.reset());
     
+    for (const source of this.getGitHubSources()) {
+      try {
+        // Fetch GitHub repositories with retry
+        const sourceRepos = await retryWithBackoff(
+          () => this.githubClient.fetchRepositories({
+            owner: source.owner,
+            ownerType: source.type,
+            shouldStop: projects => hasEnoughCandidates(applySourceRules(projects, source), processConfig)
+          }),
+          3,
+          1000
+        );
+
+        githubRepos.push(...applySourceRules(sourceRepos, source));
+      } catch (error) {
+        this.fetchIncomplete = true;
+
+        if (isRateLimitError(error)) {
+          this.rateLimitError = error;
+          console.warn('GitHub API rate limit reached, skipping remaining sources until', error.resetAt);
+          break;
+        }
+        console.warn(`Failed to fetch repositories for ${source.owner} (network error), skipping source`);
+        // Continue with the other sources - manual projects will still be shown
+      }
+    }
+
+    // The same repository can be listed by a user and an organization
+    githubRepos = dedupeById(githubRepos);
+
+    console.log(`Fetched ${githubRepos.length} repositories from GitHub`);
+
+    // Merge with manual projects and apply the per-project overrides to both
+    const allProjects = applyProjectOverrides(this.mergeManualProjects(githubRepos), this.config.projectOverrides);
+
+    // Process projects (filter, sort, limit)
+    const { projects, excluded, groups } = processProjectsDetailed(allProjects, processConfig);
+    this.hiddenRepos = applyFilterRules(allProjects, processConfig.filterRules).excluded
+      .map(project => `${project.owner}/${project.name}`);
+    const processedProjects = deferCollapsed ? this.markCollapsedDeferred(projects, groups) : projects;
+    this.excludedProjects = excluded;
+    this.groupLayout = toGroupLayout(groups);
+
+    console.log(`Processed ${processedProjects.length} projects`);
+
+    if (onProcessed) {
+      onProcessed(processedProjects);
+    }
+
+    const shown = await this.completeProjects(processedProjects.filter(project => !project.deferred), onUpdate);
+    const shownById = new Map(shown.map(project => [project.id, project]));
+
+    return processedProjects.map(project => shownById.get(project.id) || project);
+  }
+
+  /**
+   * Mark the projects behind "Show more" (beyond the first page of the list or of every
+   * group) as deferred
+   * @param {Array} projects - Processed projects
+   * @param {Array|null} groups - Processed groups (see groupProjects)
+   * @returns {Array} Projects, those behind "Show more" with deferred: true
+   */
+  markCollapsedDeferred(projects, groups) {
+    if (!hasShowMore(this.config) || !this.config.maxProjects) {
+      return projects;
+    }
+
+    const firstPage = new Set();
+    (groups || [{ projects, pageSize: this.config.maxProjects }]).forEach(group => {
+      group.projects.slice(0, group.pageSize).forEach(project => firstPage.add(project.id));
+    });
+
+    return projects.map(project => (firstPage.has(project.id) ? project : { ...project, deferred: true }));
+  }
+
+  /**
+   * Resolve live URLs, check link health and enrich projects about to be displayed
+   * @param {Array} projects - Array of project objects
+   * @param {Function|null} onUpdate - Called with each project as its live URL resolves
+   * @returns {Promise<Array>} Completed projects, in the same order
+   */
+  async completeProjects(projects, onUpdate = null) {
+    // Resolve deployment URLs only for what will be displayed
+    let completed = await this.fetchLiveUrls(projects, onUpdate);
+
+    // Demote live URLs that do not respond
+    if (this.config.linkHealthCheck) {
+      completed = await this.linkHealthChecker.checkProjects(completed, onUpdate);
+    }
+
+    // Enrich only what will be displayed (overrides win over README descriptions and logos)
+    if (this.config.enrichProjects) {
+      completed = applyContentOverrides(
+        await this.enrichmentPipeline.run(completed),
+        this.config.projectOverrides
+      );
+    }
+
+    return completed;
+  }
+
+  /**
+   * Complete deferred projects once their cards are revealed, then update the cards and the cache
+   * @param {Array} projectIds - Ids of the revealed projects
+   * @returns {Promise<void>}
+   */
+  async processRevealed(projectIds) {
+    const projects = this.displayedProjects.filter(project =>
+      project.deferred && projectIds.includes(String(project.id)) && !this.revealing.has(project.id)
+    );
+    if (projects.length === 0) {
+      return;
+    }
+
+    projects.forEach(project => this.revealing.add(project.id));
+    console.log(`Completing ${projects.length} projects revealed by "Show more"`);
+
     try {
-      // Fetch GitHub repositories with retry
-      githubRepos = await retryWithBackoff(
-        () => this.githubClient.fetchRepositories(),
-        3,
-        1000
+      const completed = await this.completeProjects(
+        projects.map(({ deferred, ...project }) => project),
+        project => this.renderer.updateProject(project)
       );
+      const completedById = new Map(completed.map(project => [project.id, project]));
+      const replace = list => list.map(project => completedById.get(project.id) || project);
 
-      console.log(`Fetched ${githubRepos.length} repositories from GitHub`);
+      completed.forEach(project => this.renderer.updateProject(project));
+      this.displayedProjects = replace(this.displayedProjects);
+
+      const cacheEntry = this.cacheManager.getEntry();
+      if (cacheEntry) {
+        this.cacheManager.update(replace(cacheEntry.data));
+      }
     } catch (error) {
-      console.warn('Failed to fetch from GitHub API (rate limit or network error), using manual projects only');
-      // Continue with empty array - manual projects will still be shown
+      console.warn('Failed to complete revealed projects:', error.message);
+    } finally {
+      projects.forEach(project => this.revealing.delete(project.id));
     }
+  }
 
-    // Fetch Vercel deployments if configured
-    let projectsWithUrls = githubRepos;
-    
-    if (this.vercelClient.isConfigured() && githubRepos.length > 0) {
-      console.log('Fetching Vercel deployment URLs...');
-      projectsWithUrls = await this.fetchVercelUrls(githubRepos);
-    } else {
-      console.log('Vercel not configured or no GitHub repos, skipping deployment URL fetch');
+  /**
+   * Fetch processed projects from the proxy server
+   * @returns {Promise<Array>} Array of processed projects
+   */
+  async fetchProjectsFromProxy() {
+    const result = await retryWithBackoff(
+      () => this.proxyClient.fetchProjects(),
+      3,
+      1000
+    );
+
+    this.fetchIncomplete = result.incomplete;
+    this.rateLimitError = result.rateLimitError;
+    this.hiddenRepos = [];
+
+    console.log(`Fetched ${result.projects.length} projects from proxy`);
+
+    // Overrides in the browser config apply on top of the proxy's
+    const projects = applyProjectOverrides(result.projects, this.config.projectOverrides);
+
+    // The proxy serves the processed list; sections follow the browser's projectGroups
+    this.groupLayout = hasProjectGroups(this.config) ? toGroupLayout(groupProjects(projects, this.config)) : null;
+
+    return projects;
+  }
+
+  /**
+   * Build the processing config with the priority list for the configured priorityMode
+   * @returns {Promise<Object>} Config with priorityRepos resolved
+   */
+  async resolvePriorityConfig() {
+    this.pinnedRepos = null;
+
+    if (this.config.priorityMode !== 'pinned') {
+      return this.config;
     }
 
-    // Merge with manual projects
-    const allProjects = this.mergeManualProjects(projectsWithUrls);
+    try {
+      const pinned = await retryWithBackoff(
+        () => this.githubClient.fetchPinnedRepositories(this.config.githubUsername),
+        1,
+        1000
+      );
 
-    // Process projects (filter, sort, limit)
-    const processedProjects = processProjects(allProjects, this.config);
+      if (pinned.length > 0) {
+        this.pinnedRepos = pinned;
+        return { ...this.config, priorityRepos: pinned };
+      }
+      console.warn('No pinned repositories found, using priorityRepos');
+    } catch (error) {
+      console.warn('Failed to fetch pinned repositories, using priorityRepos:', error.message);
+    }
 
-    console.log(`Processed ${processedProjects.length} projects`);
+    return this.config;
+  }
+
+  /**
+   * Get the configured GitHub sources, falling back to githubUsername
+   * @returns {Array} Array of { owner, type, include, exclude } source objects
+   */
+  getGitHubSources() {
+    const sources = this.config.githubSources || [];
 
-    return processedProjects;
+    if (sources.length === 0) {
+      return [{ owner: this.config.githubUsername, type: 'user' }];
+    }
+
+    return sources;
   }
 
   /**
@@ -163,46 +653,84 @@ export class ProjectFetcher {
     
     console.log(`Merging ${manualProjects.length} manual projects`);
     
-    // Combine arrays
-    return [...autoProjects, ...manualProjects];
+    // Manual entries replace the fetched repository they describe
+    return mergeManualProjects(autoProjects, manualProjects);
   }
 
   /**
-   * Fetch Vercel URLs for projects
+   * Resolve live URLs and deployment status for projects along the URL fallback chain
+   * Runs up to urlResolutionConcurrency lookups at once; manual projects keep their URLs
    * @param {Array} projects - Array of project objects
-   * @returns {Promise<Array>} Projects with Vercel URLs added
+   * @param {Function|null} onUpdate - Called with each project as its URL resolves
+   * @returns {Promise<Array>} Projects with live URLs and deployment added, in the same order
    */
-  async fetchVercelUrls(projects) {
-    const projectsWithUrls = [];
+  async fetchLiveUrls(projects, onUpdate = null) {
+    const providers = this.providers.filter(provider => provider.isConfigured());
 
-    for (const project of projects) {
-      try {
-        // Fetch production URL for this project with retry
-        const productionUrl = await retryWithBackoff(
-          () => this.vercelClient.fetchProductionUrl(project.name),
-          2, // Fewer retries for Vercel (to avoid rate limits)
-          500
-        );
+    if (!projects.some(project => project.source !== 'manual')) {
+      return projects;
+    }
 
-        // Update project with Vercel URL
-        const updatedProject = updateProjectWithVercelUrl(project, productionUrl);
-        projectsWithUrls.push(updatedProject);
-      } catch (error) {
-        // If Vercel fetch fails, just use the project without Vercel URL
-        console.warn(`Failed to fetch Vercel URL for ${project.name}:`, error.message);
-        projectsWithUrls.push(project);
+    console.log(`Resolving live URLs (providers: ${providers.map(provider => provider.name).join(', ') || 'none'})...`);
+
+    return mapWithConcurrency(projects, this.config.urlResolutionConcurrency, async project => {
+      if (project.source === 'manual') {
+        return project;
+      }
+
+      // Providers that fail are skipped by the resolver
+      const updatedProject = await updateProjectWithLiveUrl(project, this.providers, this.config.urlFallbackOrder);
+
+      if (onUpdate) {
+        onUpdate(updatedProject);
       }
+      return updatedProject;
+    });
+  }
+
+
+  /**
+   * Tell visitors the list is partial (and when fresh data will be back after a rate limit),
+   * also when the partial list comes from the cache
+   */
+  showIncompleteNotice() {
+    if (this.rateLimitError) {
+      this.renderer.showNotice(formatErrorMessage(this.rateLimitError));
+    } else if (this.cachedIncomplete) {
+      this.renderer.showNotice('Some projects could not be loaded. Showing a partial list.');
     }
+  }
+
+  /**
+   * Get the repositories the filter rules hide, e.g. to filter the activity feed the same way
+   * Empty when the projects come from the proxy
+   * @returns {Array} Full names ("owner/name") of the hidden repositories
+   */
+  getHiddenRepos() {
+    return this.hiddenRepos;
+  }
+
+  /**
+   * Get the GitHub rate limit status
+   * @returns {Object} { limited, resetAt, remaining } - resetAt is a Date or null
+   */
+  getRateLimitStatus() {
+    const rateLimit = this.githubClient.getRateLimit();
 
-    return projectsWithUrls;
+    return {
+      limited: this.rateLimitError !== null,
+      resetAt: this.rateLimitError ? this.rateLimitError.resetAt : (rateLimit ? rateLimit.resetAt : null),
+      remaining: rateLimit ? rateLimit.remaining : null
+    };
   }
 
   /**
-   * Render projects to the DOM
+   * Render projects to the DOM, in the groups they were processed into
    * @param {Array} projects - Array of project objects to render
    */
   renderProjects(projects) {
-    this.renderer.render(projects);
+    this.displayedProjects = projects;
+    this.renderer.render(projects, fromGroupLayout(this.groupLayout, projects));
   }
 
   /**
@@ -0,0 +1,288 @@
+// Project Filter UI - Search box and topic chips narrowing the rendered project cards
+// Filters cards in place (no refetch) and keeps the filter in the URL query string
+
+import { CARDS_REVEALED_EVENT } from './project-renderer.js';
+
+// URL query parameters holding the filter
+const QUERY_PARAM = 'q';
+const TOPICS_PARAM = 'topics';
+
+/**
+ * Read the filter from a URL
+ * @param {string} href - URL
+ * @returns {Object} { query, topics }
+ */
+export function readFilterState(href) {
+  const params = new URL(href).searchParams;
+
+  return {
+    query: (params.get(QUERY_PARAM) || '').trim(),
+    topics: (params.get(TOPICS_PARAM) || '')
+      .split(',')
+      .map(topic => topic.trim().toLowerCase())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Write the filter into a URL, dropping empty parameters
+ * @param {string} href - Current URL
+ * @param {Object} state - { query, topics }
+ * @returns {string} URL with the filter
+ */
+export function writeFilterState(href, state) {
+  const url = new URL(href);
+
+  if (state.query) {
+    url.searchParams.set(QUERY_PARAM, state.query);
+  } else {
+    url.searchParams.delete(QUERY_PARAM);
+  }
+
+  if (state.topics.length > 0) {
+    url.searchParams.set(TOPICS_PARAM, state.topics.join(','));
+  } else {
+    url.searchParams.delete(TOPICS_PARAM);
+  }
+
+  return url.toString();
+}
+
+/**
+ * ProjectFilterUI - Renders the filter controls and shows/hides project cards
+ */
+export class ProjectFilterUI {
+  /**
+   * @param {string} filterSelector - CSS selector for the filter controls container
+   * @param {string} projectsSelector - CSS selector for the project container
+   */
+  constructor(filterSelector, projectsSelector) {
+    this.filterSelector = filterSelector;
+    this.projectsSelector = projectsSelector;
+    this.filterContainer = null;
+    this.projectsContainer = null;
+    this.state = { query: '', topics: [] };
+
+    // Topics and selection the chips were last rendered for
+    this.chipsKey = null;
+
+    // Set once the current search has its own history entry (one entry per search, not per key)
+    this.searchEntryPushed = false;
+  }
+
+  /**
+   * Build the controls, restore the filter from the URL and follow card changes
+   * @returns {boolean} True if both containers were found
+   */
+  initialize() {
+    this.filterContainer = document.querySelector(this.filterSelector);
+    this.projectsContainer = document.querySelector(this.projectsSelector);
+
+    if (!this.filterContainer || !this.projectsContainer) {
+      console.error(`Filter UI containers not found: ${this.filterSelector}, ${this.projectsSelector}`);
+      return false;
+    }
+
+    this.createControls();
+    this.state = readFilterState(window.location.href);
+    this.searchInput.value = this.state.query;
+
+    // Cards are re-rendered as data arrives - rebuild the chips and re-apply the filter
+    this.observer = new MutationObserver(() => this.refresh());
+    this.observer.observe(this.projectsContainer, { childList: true, subtree: true });
+
+    window.addEventListener('popstate', () => {
+      this.state = readFilterState(window.location.href);
+      this.searchInput.value = this.state.query;
+      this.searchEntryPushed = false;
+      this.refresh();
+    });
+
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Create the search box, chip list and status line
+   */
+  createControls() {
+    this.filterContainer.innerHTML = '';
+
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'search';
+    this.searchInput.className = 'project-filter-search';
+    this.searchInput.placeholder = 'Search projects...';
+    this.searchInput.setAttribute('aria-label', 'Search projects');
+    this.searchInput.addEventListener('input', () => {
+      this.state = { ...this.state, query: this.searchInput.value.trim() };
+      this.updateUrl(!this.searchEntryPushed);
+      this.searchEntryPushed = true;
+      this.apply();
+    });
+    this.searchInput.addEventListener('change', () => {
+      this.searchEntryPushed = false;
+    });
+
+    this.chipList = document.createElement('div');
+    this.chipList.className = 'project-filter-chips';
+    this.chipList.setAttribute('role', 'group');
+    this.chipList.setAttribute('aria-label', 'Filter by topic');
+
+    this.status = document.createElement('p');
+    this.status.className = 'project-filter-status';
+    this.status.setAttribute('role', 'status');
+
+    this.filterContainer.appendChild(this.searchInput);
+    this.filterContainer.appendChild(this.chipList);
+    this.filterContainer.appendChild(this.status);
+  }
+
+  /**
+   * Rebuild the topic chips from the rendered cards and re-apply the filter
+   */
+  refresh() {
+    this.renderChips();
+    this.apply();
+  }
+
+  /**
+   * Render a chip per topic shown on the cards, most used first
+   * Selected topics stay listed even before cards showing them are rendered
+   */
+  renderChips() {
+    const counts = new Map();
+    this.projectsContainer.querySelectorAll('.project-topic').forEach(tag => {
+      const topic = tag.textContent.trim().toLowerCase();
+      counts.set(topic, (counts.get(topic) || 0) + 1);
+    });
+    this.state.topics.forEach(topic => {
+      if (!counts.has(topic)) {
+        counts.set(topic, 0);
+      }
+    });
+
+    const topics = Array.from(counts.keys())
+      .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+
+    // Keep the existing chips (and keyboard focus) when nothing changed
+    const chipsKey = `${topics.join(',')}|${this.state.topics.join(',')}`;
+    if (chipsKey === this.chipsKey) {
+      return;
+    }
+    this.chipsKey = chipsKey;
+
+    this.chipList.innerHTML = '';
+    topics.forEach(topic => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'project-filter-chip';
+      chip.textContent = topic;
+      chip.setAttribute('aria-pressed', String(this.state.topics.includes(topic)));
+      chip.addEventListener('click', () => this.toggleTopic(topic));
+      this.chipList.appendChild(chip);
+    });
+  }
+
+  /**
+   * Select or deselect a topic
+   * @param {string} topic - Topic name
+   */
+  toggleTopic(topic) {
+    const topics = this.state.topics.includes(topic)
+      ? this.state.topics.filter(selected => selected !== topic)
+      : [...this.state.topics, topic];
+
+    this.state = { ...this.state, topics };
+    this.searchEntryPushed = false;
+    this.updateUrl(true);
+    this.refresh();
+  }
+
+  /**
+   * Reflect the filter in the URL
+   * @param {boolean} push - Add a history entry (otherwise replace the current one)
+   */
+  updateUrl(push) {
+    const url = writeFilterState(window.location.href, this.state);
+    if (url === window.location.href) {
+      return;
+    }
+
+    if (push) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }
+
+  /**
+   * Check whether a card matches the filter
+   * Every search word must appear in the name, description, owner or topics, and the
+   * card must have at least one of the selected topics
+   * @param {HTMLElement} card - Project card element
+   * @returns {boolean} True if the card matches
+   */
+  matches(card) {
+    const topics = (card.getAttribute('data-topics') || '').split(',').filter(Boolean);
+
+    if (this.state.topics.length > 0 && !this.state.topics.some(topic => topics.includes(topic))) {
+      return false;
+    }
+
+    const words = this.state.query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return true;
+    }
+
+    const text = [
+      ...Array.from(card.querySelectorAll('.project-name, .project-description, .project-owner'))
+        .map(element => element.textContent),
+      ...topics
+    ].join(' ').toLowerCase();
+
+    return words.every(word => text.includes(word));
+  }
+
+  /**
+   * Show the matching cards and hide the rest (and groups left without cards)
+   * While filtering, matches behind "Show more" are shown too (and reported to the renderer
+   * so their deferred data loads); without a filter the cards behind "Show more" stay collapsed
+   */
+  apply() {
+    const cards = Array.from(this.projectsContainer.querySelectorAll('.project-card'));
+    const isFiltered = this.state.query !== '' || this.state.topics.length > 0;
+    const revealed = [];
+    let shown = 0;
+
+    cards.forEach(card => {
+      const isMatch = this.matches(card);
+      const wasHidden = card.hidden;
+      card.hidden = isFiltered ? !isMatch : card.hasAttribute('data-collapsed');
+      if (isMatch) {
+        shown++;
+      }
+      if (wasHidden && !card.hidden) {
+        revealed.push(card);
+      }
+    });
+
+    if (revealed.length > 0) {
+      this.projectsContainer.dispatchEvent(new CustomEvent(CARDS_REVEALED_EVENT, { detail: { cards: revealed } }));
+    }
+
+    this.projectsContainer.querySelectorAll('.projects-show-more').forEach(button => {
+      button.hidden = isFiltered;
+    });
+
+    this.projectsContainer.querySelectorAll('.project-group').forEach(group => {
+      group.hidden = !group.querySelector('.project-card:not([hidden])');
+    });
+    if (!isFiltered || cards.length === 0) {
+      this.status.textContent = '';
+    } else if (shown === 0) {
+      this.status.textContent = 'No projects match this filter';
+    } else {
+      this.status.textContent = `Showing ${shown} of ${cards.length} projects`;
+    }
+  }
+}
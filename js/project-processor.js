@@ -1,78 +1,280 @@
 // Project Processor - Handles filtering, sorting, and processing of project data
 // Applies configuration rules to transform raw project data
 
+import { applyFilterRules, findMatchingPattern } from './filter-rules.js';
+import { getComparator, compareTiebreaker } from './sort-strategies.js';
+
 /**
  * Filter out excluded repositories (but keep manual projects)
  * @param {Array} projects - Array of project objects
- * @param {Array} excludeList - Array of repository names to exclude
+ * @param {Array} excludeList - Repository names or name patterns (globs, '/regex/') to exclude
  * @returns {Array} Filtered array
  */
 export function filterExcluded(projects, excludeList = []) {
+  return splitExcluded(projects, excludeList).projects;
+}
+
+/**
+ * Split projects into kept and excluded by the exclude list (manual projects are kept)
+ * @param {Array} projects - Array of project objects
+ * @param {Array} excludeList - Repository names or name patterns to exclude
+ * @returns {Object} { projects, excluded } - excluded projects carry excludeReason
+ */
+function splitExcluded(projects, excludeList = []) {
   if (!Array.isArray(excludeList) || excludeList.length === 0) {
+    return { projects, excluded: [] };
+  }
+
+  const kept = [];
+  const excluded = [];
+
+  projects.forEach(project => {
+    // Keep manual projects even if they're in the exclude list
+    const pattern = project.source === 'manual' ? null : findMatchingPattern(project.name, excludeList);
+
+    if (pattern) {
+      excluded.push({ ...project, excludeReason: `listed in excludeRepos ("${pattern}")` });
+    } else {
+      kept.push(project);
+    }
+  });
+
+  return { projects: kept, excluded };
+}
+
+/**
+ * Normalize a repository URL for comparison
+ * @param {string} url - Repository URL
+ * @returns {string} Lowercase URL without trailing slash or .git
+ */
+function normalizeRepoUrl(url) {
+  return (url || '').trim().toLowerCase().replace(/\/+$/, '').replace(/\.git$/, '');
+}
+
+// Manual entry fields that never replace those of the matched repository
+const MANUAL_IDENTITY_FIELDS = ['id', 'source'];
+
+/**
+ * Merge manual projects into fetched projects, field by field
+ * A manual entry matching a fetched repository (by repoUrl or name) is merged into it: fields
+ * set in the manual entry (listed in manualFields) win, the rest (stars, updatedAt, pushedAt, ...)
+ * come from GitHub. The repository keeps its id and source, so it is still resolved, enriched
+ * and filtered like any GitHub project; a manual liveUrl becomes its liveUrlOverride.
+ * Manual entries without a match are appended as they are (source 'manual').
+ * @param {Array} fetchedProjects - Projects fetched from GitHub
+ * @param {Array} manualProjects - Manual projects from the config
+ * @returns {Array} Merged projects
+ */
+export function mergeManualProjects(fetchedProjects, manualProjects = []) {
+  const merged = [...fetchedProjects];
+  const unmatched = [];
+
+  manualProjects.forEach(manualProject => {
+    const repoUrl = normalizeRepoUrl(manualProject.repoUrl);
+    const name = (manualProject.name || '').toLowerCase();
+
+    const index = merged.findIndex(project =>
+      project.source !== 'manual' && (
+        (repoUrl && normalizeRepoUrl(project.repoUrl) === repoUrl) ||
+        (name && project.name.toLowerCase() === name)
+      )
+    );
+
+    if (index === -1) {
+      unmatched.push(manualProject);
+      return;
+    }
+
+    // Only fields the manual entry actually sets win
+    const manualFields = Object.keys(manualProject).filter(field =>
+      manualProject[field] !== undefined && !MANUAL_IDENTITY_FIELDS.includes(field)
+    );
+    const fields = Object.fromEntries(manualFields.map(field => [field, manualProject[field]]));
+
+    merged[index] = {
+      ...merged[index],
+      ...fields,
+      manualFields
+    };
+
+    // The URL resolver keeps a manual live URL over the deployment providers
+    if (fields.liveUrl) {
+      merged[index].liveUrlOverride = fields.liveUrl;
+    }
+  });
+
+  return [...merged, ...unmatched];
+}
+
+// Project fields an override may replace (liveUrl is handled by the URL resolver)
+const CONTENT_OVERRIDE_FIELDS = ['label', 'thumbnail', 'description'];
+
+/**
+ * Find the override configured for a project (by name, case-insensitive)
+ * @param {Object} project - Project object
+ * @param {Object} overrides - Overrides by project name
+ * @returns {Object|null} Override or null
+ */
+function findOverride(project, overrides) {
+  const name = project.name.toLowerCase();
+  const key = Object.keys(overrides).find(overrideName => overrideName.toLowerCase() === name);
+  return key ? overrides[key] : null;
+}
+
+/**
+ * Apply the per-project overrides from the config, whatever the project's source
+ * Drops hidden projects, replaces label/thumbnail/description and records the liveUrl
+ * override (as liveUrlOverride) for the URL resolver
+ * @param {Array} projects - Array of project objects
+ * @param {Object} overrides - { [name]: { liveUrl, label, thumbnail, description, hidden } }
+ * @returns {Array} Projects with overrides applied
+ */
+export function applyProjectOverrides(projects, overrides = {}) {
+  if (!overrides || Object.keys(overrides).length === 0) {
     return projects;
   }
 
-  // Create a Set for O(1) lookup
-  const excludeSet = new Set(excludeList.map(name => name.toLowerCase()));
+  return projects
+    .filter(project => {
+      const override = findOverride(project, overrides);
+      return !(override && override.hidden);
+    })
+    .map(project => {
+      const override = findOverride(project, overrides);
+      if (!override) {
+        return project;
+      }
+
+      const updatedProject = applyContentOverride(project, override);
+      if (override.liveUrl) {
+        updatedProject.liveUrl = override.liveUrl;
+        updatedProject.liveUrlOverride = override.liveUrl;
+      }
+      return updatedProject;
+    });
+}
+
+/**
+ * Re-apply the label/thumbnail/description overrides (e.g. after enrichment replaced them)
+ * @param {Array} projects - Array of project objects
+ * @param {Object} overrides - Overrides by project name
+ * @returns {Array} Projects with content overrides applied
+ */
+export function applyContentOverrides(projects, overrides = {}) {
+  if (!overrides || Object.keys(overrides).length === 0) {
+    return projects;
+  }
+
+  return projects.map(project => {
+    const override = findOverride(project, overrides);
+    return override ? applyContentOverride(project, override) : project;
+  });
+}
+
+/**
+ * Copy the content fields of an override onto a project
+ * @param {Object} project - Project object
+ * @param {Object} override - Override
+ * @returns {Object} New project object
+ */
+function applyContentOverride(project, override) {
+  const updatedProject = { ...project };
+
+  CONTENT_OVERRIDE_FIELDS.forEach(field => {
+    if (override[field] !== undefined) {
+      updatedProject[field] = override[field];
+    }
+  });
+
+  return updatedProject;
+}
+
+/**
+ * Apply a GitHub source's own include/exclude lists to its repositories
+ * @param {Array} projects - Projects fetched from the source
+ * @param {Object} source - Source config ({ owner, include, exclude })
+ * @returns {Array} Filtered array
+ */
+export function applySourceRules(projects, source = {}) {
+  const includeSet = new Set((source.include || []).map(name => name.toLowerCase()));
+  const exclude = new Set((source.exclude || []).map(name => name.toLowerCase()));
 
   return projects.filter(project => {
     const projectName = project.name.toLowerCase();
-    
-    // Keep manual projects even if they're in the exclude list
-    if (project.source === 'manual') {
-      return true;
+
+    // An include list turns the source into an allow-list
+    if (includeSet.size > 0 && !includeSet.has(projectName)) {
+      return false;
+    }
+
+    return !exclude.has(projectName);
+  });
+}
+
+/**
+ * Remove projects listed by more than one source (keeps the first occurrence)
+ * @param {Array} projects - Array of project objects
+ * @returns {Array} Array with unique project ids
+ */
+export function dedupeById(projects) {
+  const seen = new Set();
+
+  return projects.filter(project => {
+    if (seen.has(project.id)) {
+      return false;
     }
-    
-    // Filter out GitHub projects that are in the exclude list
-    return !excludeSet.has(projectName);
+    seen.add(project.id);
+    return true;
   });
 }
 
 /**
- * Sort projects by priority, then by update time
+ * Sort projects: priority projects first in the order they are listed, then the rest
+ * by the sort strategy
  * @param {Array} projects - Array of project objects
  * @param {Array} priorityList - Array of repository names to prioritize
+ * @param {string|Function} strategy - Sort strategy for the other projects (see sort-strategies.js)
+ * @param {Object} options - Strategy options ({ scoreWeights })
  * @returns {Array} Sorted array
  */
-export function sortByPriority(projects, priorityList = []) {
-  if (!Array.isArray(priorityList) || priorityList.length === 0) {
-    // No priority list, just sort by update time
-    return sortByUpdateTime(projects);
-  }
-
-  // Create a Set for O(1) lookup and mark priority projects
-  const prioritySet = new Set(priorityList.map(name => name.toLowerCase()));
+export function sortByPriority(projects, priorityList = [], strategy = 'recent', options = {}) {
+  // Create a Map for O(1) lookup of each priority name's position
+  const priorityIndex = new Map((priorityList || []).map((name, index) => [name.toLowerCase(), index]));
+  const compare = getComparator(strategy, options);
   
   // Mark projects as priority
   const markedProjects = projects.map(project => ({
     ...project,
-    isPriority: prioritySet.has(project.name.toLowerCase())
+    isPriority: priorityIndex.has(project.name.toLowerCase())
   }));
 
-  // Sort: priority projects first (by update time), then non-priority (by update time)
   return markedProjects.sort((a, b) => {
     // First, sort by priority status
     if (a.isPriority && !b.isPriority) return -1;
     if (!a.isPriority && b.isPriority) return 1;
 
-    // Within same priority level, sort by update time (most recent first)
-    const dateA = new Date(a.updatedAt);
-    const dateB = new Date(b.updatedAt);
-    return dateB - dateA;
+    // Priority projects in the order they were listed
+    if (a.isPriority && b.isPriority) {
+      return priorityIndex.get(a.name.toLowerCase()) - priorityIndex.get(b.name.toLowerCase()) ||
+        compareTiebreaker(a, b);
+    }
+
+    return compare(a, b);
   });
 }
 
 /**
- * Sort projects by update time (most recent first)
- * @param {Array} projects - Array of project objects
- * @returns {Array} Sorted array
+ * Warn about priority repositories that excludeRepos hides
+ * Only a manual project with the same name can show such a repository
+ * @param {Array} priorityList - Array of priority repository names
+ * @param {Array} excludeList - Array of excluded repository names
  */
-function sortByUpdateTime(projects) {
-  return [...projects].sort((a, b) => {
-    const dateA = new Date(a.updatedAt);
-    const dateB = new Date(b.updatedAt);
-    return dateB - dateA;
-  });
+function warnExcludedPriority(priorityList, excludeList = []) {
+  const hidden = priorityList.filter(name => findMatchingPattern(name, excludeList || []));
+
+  if (hidden.length > 0) {
+    console.warn('Priority repositories also in excludeRepos (shown only via manualProjects):', hidden);
+  }
 }
 
 /**
@@ -89,6 +291,156 @@ export function limitProjects(projects, maxCount) {
   return projects.slice(0, maxCount);
 }
 
+/**
+ * Check whether enough projects survive filtering to fill the display,
+ * so older pages of repositories can be skipped
+ * @param {Array} projects - Projects fetched so far (most recently pushed first)
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if more repositories cannot change the result
+ */
+export function hasEnoughCandidates(projects, config = {}) {
+  // Groups have their own limits, so any repository may still fill one,
+  // and "Show more" keeps every repository
+  if (!config.maxProjects || hasProjectGroups(config) || hasShowMore(config)) {
+    return false;
+  }
+
+  // Repositories are listed by last push - older pages only lose under the 'recent' order
+  if ((config.sortStrategy || 'recent') !== 'recent') {
+    return false;
+  }
+
+  // Count what processing keeps: manual entries matching a fetched repository are merged
+  // into it (only the others add a project) and projects hidden by overrides are left out
+  const merged = applyProjectOverrides(
+    mergeManualProjects(projects, config.manualProjects || []),
+    config.projectOverrides
+  );
+  const candidates = applyFilterRules(
+    filterExcluded(merged, config.excludeRepos),
+    config.filterRules
+  ).projects;
+
+  if (candidates.length < config.maxProjects) {
+    return false;
+  }
+
+  // Priority projects sort first regardless of age, so keep paging until all are found
+  const foundNames = new Set(candidates.map(project => (project.name || '').toLowerCase()));
+
+  return (config.priorityRepos || []).every(name => foundNames.has(name.toLowerCase()));
+}
+
+/**
+ * Check whether projects are grouped into sections
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if projectGroups is configured
+ */
+export function hasProjectGroups(config = {}) {
+  return Array.isArray(config.projectGroups) && config.projectGroups.length > 0;
+}
+
+/**
+ * Check whether projects beyond maxProjects are kept behind "Show more"
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if showMoreMode is 'button' or 'scroll'
+ */
+export function hasShowMore(config = {}) {
+  return Boolean(config.showMoreMode) && config.showMoreMode !== 'none';
+}
+
+/**
+ * Group projects into sections by their topics
+ * With projectGroupMode 'first' a project joins the first group listing one of its
+ * topics; with 'all' it joins every such group. Projects without a matching group go
+ * to the projectGroupOther bucket (dropped when it is null).
+ * @param {Array} projects - Sorted array of project objects
+ * @param {Object} config - Configuration object ({ projectGroups, projectGroupOther,
+ *   projectGroupMode, maxProjects, showMoreMode })
+ * @returns {Array} Non-empty groups { id, title, projects, total, pageSize } in config order,
+ *   each limited to its maxProjects (pageSize) unless showMoreMode keeps the rest
+ *   (total counts the projects before the limit)
+ */
+export function groupProjects(projects, config = {}) {
+  const groups = (config.projectGroups || []).map(group => ({
+    id: group.id || String(group.title).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    title: group.title || group.id,
+    topics: (group.topics || []).map(topic => topic.toLowerCase()),
+    maxProjects: group.maxProjects || config.maxProjects,
+    projects: []
+  }));
+
+  const other = config.projectGroupOther ? {
+    id: 'other',
+    title: config.projectGroupOther.title || 'Other',
+    topics: [],
+    maxProjects: config.projectGroupOther.maxProjects || config.maxProjects,
+    projects: []
+  } : null;
+
+  projects.forEach(project => {
+    const topics = (project.topics || []).map(topic => topic.toLowerCase());
+    const matching = groups.filter(group => group.topics.some(topic => topics.includes(topic)));
+
+    if (matching.length === 0) {
+      if (other) {
+        other.projects.push(project);
+      }
+      return;
+    }
+
+    const targets = config.projectGroupMode === 'all' ? matching : [matching[0]];
+    targets.forEach(group => group.projects.push(project));
+  });
+
+  return [...groups, ...(other ? [other] : [])]
+    .filter(group => group.projects.length > 0)
+    .map(group => ({
+      id: group.id,
+      title: group.title,
+      projects: hasShowMore(config) ? group.projects : limitProjects(group.projects, group.maxProjects),
+      total: group.projects.length,
+      pageSize: group.maxProjects
+    }));
+}
+
+/**
+ * Describe groups by the ids of their projects (for the cache, which holds each project once)
+ * @param {Array|null} groups - Groups from groupProjects
+ * @returns {Array|null} Groups { id, title, total, pageSize, projectIds }
+ */
+export function toGroupLayout(groups) {
+  if (!groups) {
+    return null;
+  }
+
+  return groups.map(({ projects, ...group }) => ({
+    ...group,
+    projectIds: projects.map(project => project.id)
+  }));
+}
+
+/**
+ * Rebuild groups from a layout and the (possibly updated) projects it describes
+ * @param {Array|null} layout - Groups from toGroupLayout
+ * @param {Array} projects - Array of project objects
+ * @returns {Array|null} Groups { id, title, projects, total, pageSize }
+ */
+export function fromGroupLayout(layout, projects) {
+  if (!layout) {
+    return null;
+  }
+
+  const projectsById = new Map(projects.map(project => [project.id, project]));
+
+  return layout
+    .map(({ projectIds, ...group }) => ({
+      ...group,
+      projects: projectIds.filter(id => projectsById.has(id)).map(id => projectsById.get(id))
+    }))
+    .filter(group => group.projects.length > 0);
+}
+
 /**
  * Process projects with all filtering, sorting, and limiting steps
  * @param {Array} projects - Array of project objects
@@ -96,32 +448,86 @@ export function limitProjects(projects, maxCount) {
  * @returns {Array} Processed array
  */
 export function processProjects(projects, config = {}) {
+  return processProjectsDetailed(projects, config).projects;
+}
+
+/**
+ * Process projects like processProjects, also returning the projects left out
+ * @param {Array} projects - Array of project objects
+ * @param {Object} config - Configuration object
+ * @returns {Object} { projects, excluded, groups } - excluded projects carry excludeReason;
+ *   groups (see groupProjects) is null unless projectGroups is configured
+ */
+export function processProjectsDetailed(projects, config = {}) {
   let processed = [...projects];
+  let excluded = [];
   
   console.log('processProjects - Input:', processed.length, 'projects');
   console.log('Projects:', processed.map(p => ({ name: p.name, source: p.source })));
 
   // Step 1: Filter out excluded repositories
   if (config.excludeRepos) {
-    processed = filterExcluded(processed, config.excludeRepos);
+    const result = splitExcluded(processed, config.excludeRepos);
+    processed = result.projects;
+    excluded = excluded.concat(result.excluded);
     console.log('After filterExcluded:', processed.length, 'projects');
     console.log('Remaining:', processed.map(p => p.name));
   }
 
-  // Step 2: Sort by priority and update time
+  // Step 1b: Apply the declarative filter rules
+  if (config.filterRules) {
+    const result = applyFilterRules(processed, config.filterRules);
+    processed = result.projects;
+    excluded = excluded.concat(result.excluded);
+    console.log('After applyFilterRules:', processed.length, 'projects');
+  }
+
+  // Step 2: Priority projects in their listed order, then the sort strategy
   if (config.priorityRepos) {
-    processed = sortByPriority(processed, config.priorityRepos);
-    console.log('After sortByPriority:', processed.length, 'projects');
-  } else {
-    // Just sort by update time if no priority list
-    processed = sortByUpdateTime(processed);
+    warnExcludedPriority(config.priorityRepos, config.excludeRepos);
   }
+  processed = sortByPriority(processed, config.priorityRepos, config.sortStrategy, {
+    scoreWeights: config.sortScoreWeights
+  });
+  console.log('After sortByPriority:', processed.length, 'projects (strategy:', config.sortStrategy || 'recent', ')');
 
-  // Step 3: Limit to max projects
-  if (config.maxProjects) {
-    processed = limitProjects(processed, config.maxProjects);
+  // Step 3: Group into sections, each limited to its own maxProjects
+  // (with showMoreMode every project is kept and maxProjects is the first page)
+  let groups = null;
+  if (hasProjectGroups(config)) {
+    groups = groupProjects(processed, config);
+
+    const shownIds = new Set();
+    groups.forEach(group => group.projects.forEach(project => shownIds.add(project.id)));
+
+    excluded = excluded.concat(
+      processed
+        .filter(project => !shownIds.has(project.id))
+        .map(project => ({
+          ...project,
+          excludeReason: groupProjects([project], config).length > 0
+            ? 'beyond maxProjects of its group'
+            : 'matches no project group'
+        }))
+    );
+    processed = processed.filter(project => shownIds.has(project.id));
+    console.log('After groupProjects:', groups.map(group => `${group.title} (${group.projects.length})`));
+  } else if (config.maxProjects && !hasShowMore(config)) {
+    // Step 3: Limit to max projects
+    const limited = limitProjects(processed, config.maxProjects);
+    excluded = excluded.concat(
+      processed.slice(limited.length).map(project => ({
+        ...project,
+        excludeReason: `beyond maxProjects (${config.maxProjects})`
+      }))
+    );
+    processed = limited;
     console.log('After limitProjects:', processed.length, 'projects (max:', config.maxProjects, ')');
   }
 
-  return processed;
+  if (excluded.length > 0) {
+    console.log('Excluded:', excluded.map(p => ({ name: p.name, reason: p.excludeReason })));
+  }
+
+  return { projects: processed, excluded, groups };
 }
@@ -1,6 +1,13 @@
 // Project Renderer - Renders project cards in the DOM
 // Handles loading states, error messages, and project card creation
 
+import { getLanguageColor } from './languages.js';
+import { hasShowMore } from './project-processor.js';
+
+// Event dispatched on the project container by code that shows collapsed cards (e.g. the
+// filter UI), with the shown card elements as detail.cards
+export const CARDS_REVEALED_EVENT = 'projectcardsrevealed';
+
 /**
  * ProjectRenderer class for rendering project cards
  */
@@ -8,10 +15,31 @@ export class ProjectRenderer {
   /**
    * Create a ProjectRenderer
    * @param {string} containerSelector - CSS selector for the project container
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.showOwner - Show the owning account on each card
+   * @param {Object} options.stats - Card stats toggles ({ stars, forks, language,
+   *   license, updated, archived, languageBar })
+   * @param {string} options.showMore - 'button' or 'scroll' to show pageSize cards (per group)
+   *   behind a "Show more" button, loaded on click or when scrolled into view; 'none' shows all
+   * @param {number} options.pageSize - Cards shown at first and added per "Show more"
+   * @param {Function} options.onReveal - Called with the ids of deferred projects whose
+   *   cards became visible (on render or "Show more")
    */
-  constructor(containerSelector) {
+  constructor(containerSelector, options = {}) {
     this.containerSelector = containerSelector;
     this.container = null;
+    this.options = options;
+    this.stats = options.stats || {};
+
+    // Cards shown per section ('all' or a group id), kept across renders so a
+    // background refresh does not collapse what the visitor expanded
+    this.visibleCounts = new Map();
+
+    // Loads more cards when a "Show more" button scrolls into view (scroll mode)
+    this.scrollObserver = null;
+
+    // Listens for CARDS_REVEALED_EVENT on the container
+    this.revealListener = null;
   }
 
   /**
@@ -24,14 +52,22 @@ export class ProjectRenderer {
       console.error(`Container not found: ${this.containerSelector}`);
       return false;
     }
+
+    // Cards shown by others complete their deferred projects like "Show more" does
+    if (!this.revealListener) {
+      this.revealListener = event => this.notifyRevealed(event.detail.cards);
+      this.container.addEventListener(CARDS_REVEALED_EVENT, this.revealListener);
+    }
     return true;
   }
 
   /**
    * Render projects as cards in the container
    * @param {Array} projects - Array of project objects to render
+   * @param {Array|null} groups - Processed groups ({ id, title, projects, pageSize }, see
+   *   groupProjects) to render one section each, or null for one flat grid
    */
-  render(projects) {
+  render(projects, groups = null) {
     if (!this.container) {
       if (!this.initialize()) {
         console.error('Cannot render: container not found');
@@ -41,6 +77,7 @@ export class ProjectRenderer {
 
     // Clear existing content
     this.container.innerHTML = '';
+    this.disconnectScrollObserver();
 
     // Handle empty projects array
     if (!projects || projects.length === 0) {
@@ -48,13 +85,200 @@ export class ProjectRenderer {
       return;
     }
 
-    // Create and append project cards
-    projects.forEach(project => {
+    // One headed section per group
+    if (groups) {
+      groups.forEach(group => {
+        this.container.appendChild(this.createGroupSection(group));
+      });
+    } else {
+      // Create and append project cards
+      this.appendCards(this.container, projects, 'all', this.options.pageSize);
+    }
+
+    // Sections the visitor expanded before a refresh can show deferred projects
+    this.notifyRevealed(this.container.querySelectorAll('.project-card:not([data-collapsed])'));
+  }
+
+  /**
+   * Report the deferred projects among visible cards to options.onReveal
+   * @param {Iterable} cards - Card elements that became visible
+   */
+  notifyRevealed(cards) {
+    if (!this.options.onReveal) {
+      return;
+    }
+
+    const projectIds = Array.from(cards)
+      .filter(card => card.hasAttribute('data-deferred'))
+      .map(card => card.getAttribute('data-project-id'));
+
+    if (projectIds.length > 0) {
+      this.options.onReveal([...new Set(projectIds)]);
+    }
+  }
+
+  /**
+   * Append project cards, hiding those beyond the section's visible count
+   * Hidden cards stay in the DOM (marked data-collapsed) so the filter UI can find them
+   * @param {HTMLElement} parent - Element to append the cards to
+   * @param {Array} projects - Array of project objects
+   * @param {string} key - Section key for the expansion state
+   * @param {number} pageSize - Cards shown at first and added per "Show more"
+   */
+  appendCards(parent, projects, key, pageSize) {
+    const paginated = hasShowMore({ showMoreMode: this.options.showMore }) && pageSize > 0;
+    const visible = paginated ? Math.max(pageSize, this.visibleCounts.get(key) || 0) : projects.length;
+
+    projects.forEach((project, index) => {
       const card = this.createProjectCard(project);
-      if (card) {
-        this.container.appendChild(card);
+      if (index >= visible) {
+        card.hidden = true;
+        card.setAttribute('data-collapsed', '');
+      }
+      parent.appendChild(card);
+    });
+
+    if (projects.length > visible) {
+      parent.appendChild(this.createShowMoreButton(parent, key, pageSize));
+    }
+  }
+
+  /**
+   * Create the "Show more" button of a section
+   * @param {HTMLElement} parent - Element holding the section's cards
+   * @param {string} key - Section key for the expansion state
+   * @param {number} pageSize - Cards added per click
+   * @returns {HTMLElement} Button element
+   */
+  createShowMoreButton(parent, key, pageSize) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'projects-show-more';
+    button.textContent = `Show more (${this.getCollapsedCards(parent).length})`;
+    button.addEventListener('click', () => this.showMore(parent, key, pageSize, button));
+
+    if (this.options.showMore === 'scroll' && typeof IntersectionObserver !== 'undefined') {
+      if (!this.scrollObserver) {
+        this.scrollObserver = new IntersectionObserver(entries => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting && !entry.target.hidden) {
+              entry.target.click();
+            }
+          });
+        }, { rootMargin: '200px' });
+      }
+      this.scrollObserver.observe(button);
+    }
+
+    return button;
+  }
+
+  /**
+   * Reveal the next page of a section's cards
+   * @param {HTMLElement} parent - Element holding the section's cards
+   * @param {string} key - Section key for the expansion state
+   * @param {number} pageSize - Cards to reveal
+   * @param {HTMLElement} button - The section's "Show more" button
+   */
+  showMore(parent, key, pageSize, button) {
+    const collapsed = this.getCollapsedCards(parent);
+    const revealed = collapsed.slice(0, pageSize);
+
+    revealed.forEach(card => {
+      card.removeAttribute('data-collapsed');
+      card.hidden = false;
+    });
+    this.notifyRevealed(revealed);
+
+    const remaining = collapsed.length - pageSize;
+    const shown = parent.querySelectorAll('.project-card').length - Math.max(remaining, 0);
+    this.visibleCounts.set(key, shown);
+
+    if (remaining > 0) {
+      button.textContent = `Show more (${remaining})`;
+
+      // The observer only reports changes - a button still within the root margin after
+      // the new cards were added would never load the next page
+      if (this.scrollObserver) {
+        this.scrollObserver.unobserve(button);
+        this.scrollObserver.observe(button);
+      }
+      return;
+    }
+
+    if (this.scrollObserver) {
+      this.scrollObserver.unobserve(button);
+    }
+    button.remove();
+  }
+
+  /**
+   * Get the cards of a section still behind "Show more"
+   * @param {HTMLElement} parent - Element holding the section's cards
+   * @returns {Array} Card elements
+   */
+  getCollapsedCards(parent) {
+    return Array.from(parent.querySelectorAll('.project-card[data-collapsed]'));
+  }
+
+  /**
+   * Stop watching the "Show more" buttons of the previous render
+   */
+  disconnectScrollObserver() {
+    if (this.scrollObserver) {
+      this.scrollObserver.disconnect();
+      this.scrollObserver = null;
+    }
+  }
+
+  /**
+   * Create a headed section for a group of projects
+   * @param {Object} group - Group ({ id, title, projects })
+   * @returns {HTMLElement} Section element
+   */
+  createGroupSection(group) {
+    const section = document.createElement('div');
+    section.className = 'project-group';
+    section.setAttribute('data-group-id', group.id);
+
+    const title = document.createElement('h3');
+    title.className = 'project-group-title';
+    title.textContent = group.title;
+    section.appendChild(title);
+
+    const grid = document.createElement('div');
+    grid.className = 'project-group-grid';
+    this.appendCards(grid, group.projects, group.id, group.pageSize);
+    section.appendChild(grid);
+
+    return section;
+  }
+
+  /**
+   * Replace the card(s) of a single project (e.g. once its live URL resolved)
+   * A project shown in several groups has one card per group
+   * @param {Object} project - Updated project object
+   * @returns {boolean} True if a card was found and replaced
+   */
+  updateProject(project) {
+    if (!this.container) {
+      return false;
+    }
+
+    const cards = Array.from(this.container.querySelectorAll('.project-card'))
+      .filter(element => element.getAttribute('data-project-id') === String(project.id));
+
+    cards.forEach(card => {
+      const updatedCard = this.createProjectCard(project);
+
+      // Keep cards behind "Show more" (or hidden by the filter) hidden
+      updatedCard.hidden = card.hidden;
+      if (card.hasAttribute('data-collapsed')) {
+        updatedCard.setAttribute('data-collapsed', '');
       }
+      card.replaceWith(updatedCard);
     });
+    return cards.length > 0;
   }
 
   /**
@@ -67,6 +291,12 @@ export class ProjectRenderer {
     const card = document.createElement('div');
     card.className = 'project-card';
     card.setAttribute('data-project-id', project.id);
+    card.setAttribute('data-topics', (project.topics || []).map(topic => topic.toLowerCase()).join(','));
+
+    // Live URL and enrichment are completed once the card is revealed
+    if (project.deferred) {
+      card.setAttribute('data-deferred', '');
+    }
 
     // Create thumbnail section
     const thumbnail = this.createThumbnail(project);
@@ -79,15 +309,54 @@ export class ProjectRenderer {
     // Project name
     const name = document.createElement('h3');
     name.className = 'project-name';
-    name.textContent = project.name;
+    name.textContent = project.label || project.name;
+
+    // Version badge
+    if (project.release && project.release.tag) {
+      name.appendChild(this.createVersionBadge(project.release));
+    }
+
+    // Deployment status badge
+    if (this.options.showDeployment && project.deployment && project.deployment.state) {
+      name.appendChild(this.createDeploymentBadge(project.deployment));
+    }
+
+    // Offline badge for demos that did not respond (also when a fallback URL is shown instead)
+    if (project.linkHealth && (!project.linkHealth.ok || project.linkHealth.fallbackUrl)) {
+      name.appendChild(this.createOfflineBadge(project.linkHealth));
+    }
+
     content.appendChild(name);
 
+    // Owning account/organization
+    if (this.options.showOwner && project.owner) {
+      const owner = document.createElement('p');
+      owner.className = 'project-owner';
+      owner.textContent = `@${project.owner}`;
+      content.appendChild(owner);
+    }
+
     // Project description
     const description = document.createElement('p');
     description.className = 'project-description';
     description.textContent = project.description || 'No description available';
     content.appendChild(description);
 
+    // Repository stats and language bar
+    const stats = this.createStats(project);
+    if (stats) {
+      content.appendChild(stats);
+    }
+
+    if (this.stats.languageBar && project.languages && project.languages.length > 0) {
+      content.appendChild(this.createLanguageBar(project.languages));
+    }
+
+    // Latest release notes
+    if (project.release && project.release.notes && project.release.notes.length > 0) {
+      content.appendChild(this.createReleaseNotes(project.release));
+    }
+
     // Project topics/tags
     if (project.topics && project.topics.length > 0) {
       const topics = this.createTopics(project.topics);
@@ -214,6 +483,236 @@ export class ProjectRenderer {
     return Math.abs(hash);
   }
 
+  /**
+   * Create stats row for project (stars, forks, language, license, last update)
+   * @param {Object} project - Project object
+   * @returns {HTMLElement|null} Stats element or null if there is nothing to show
+   */
+  createStats(project) {
+    const items = [];
+
+    if (this.stats.archived && project.archived) {
+      items.push({ className: 'project-stat-archived', text: 'Archived' });
+    }
+    if (this.stats.language && project.language) {
+      items.push({ className: 'project-stat-language', text: project.language, color: getLanguageColor(project.language) });
+    }
+    if (this.stats.stars && project.stars > 0) {
+      items.push({ className: 'project-stat-stars', text: `★ ${this.formatCount(project.stars)}`, title: `${project.stars} stars` });
+    }
+    if (this.stats.forks && project.forks > 0) {
+      items.push({ className: 'project-stat-forks', text: `⑂ ${this.formatCount(project.forks)}`, title: `${project.forks} forks` });
+    }
+    if (this.stats.license && project.license) {
+      items.push({ className: 'project-stat-license', text: project.license });
+    }
+    if (this.stats.updated && (project.pushedAt || project.updatedAt)) {
+      const date = new Date(project.pushedAt || project.updatedAt);
+      items.push({
+        className: 'project-stat-updated',
+        text: `Updated ${date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}`
+      });
+    }
+
+    if (items.length === 0) {
+      return null;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'project-stats';
+
+    items.forEach(item => {
+      const stat = document.createElement('span');
+      stat.className = `project-stat ${item.className}`;
+      stat.textContent = item.text;
+
+      if (item.title) {
+        stat.title = item.title;
+      }
+
+      // Language dot
+      if (item.color) {
+        const dot = document.createElement('span');
+        dot.className = 'project-language-dot';
+        dot.style.background = item.color;
+        stat.insertBefore(dot, stat.firstChild);
+      }
+
+      container.appendChild(stat);
+    });
+
+    return container;
+  }
+
+  /**
+   * Create GitHub-style language bar
+   * @param {Array} languages - Language breakdown ({ name, percent, color }), largest first
+   * @returns {HTMLElement} Language bar element
+   */
+  createLanguageBar(languages) {
+    const container = document.createElement('div');
+    container.className = 'project-languages';
+
+    const bar = document.createElement('div');
+    bar.className = 'project-language-bar';
+    bar.setAttribute('role', 'img');
+    bar.setAttribute('aria-label', languages.map(lang => `${lang.name} ${lang.percent}%`).join(', '));
+
+    languages.forEach(lang => {
+      const segment = document.createElement('span');
+      segment.className = 'project-language-segment';
+      segment.style.width = `${lang.percent}%`;
+      segment.style.background = lang.color;
+      segment.title = `${lang.name} ${lang.percent}%`;
+      bar.appendChild(segment);
+    });
+
+    container.appendChild(bar);
+
+    // Legend for the main languages
+    const legend = document.createElement('div');
+    legend.className = 'project-language-legend';
+
+    languages.slice(0, 3).forEach(lang => {
+      const item = document.createElement('span');
+      item.className = 'project-language-item';
+
+      const dot = document.createElement('span');
+      dot.className = 'project-language-dot';
+      dot.style.background = lang.color;
+      item.appendChild(dot);
+      item.appendChild(document.createTextNode(`${lang.name} ${lang.percent}%`));
+
+      legend.appendChild(item);
+    });
+
+    container.appendChild(legend);
+
+    return container;
+  }
+
+  /**
+   * Create version badge for the latest release or tag
+   * @param {Object} release - Release summary ({ tag, date, isTag })
+   * @returns {HTMLElement} Version badge element
+   */
+  createVersionBadge(release) {
+    const badge = document.createElement('span');
+    badge.className = release.isTag ? 'project-version project-version-tag' : 'project-version';
+    badge.textContent = release.tag;
+
+    if (release.date) {
+      badge.title = `Released ${new Date(release.date).toLocaleDateString()}`;
+    }
+
+    return badge;
+  }
+
+  /**
+   * Create expandable "What's new" section from release notes
+   * @param {Object} release - Release summary ({ name, date, notes, url })
+   * @returns {HTMLElement} Details element
+   */
+  createReleaseNotes(release) {
+    const details = document.createElement('details');
+    details.className = 'project-release';
+
+    const summary = document.createElement('summary');
+    summary.textContent = "What's new";
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'project-release-notes';
+    release.notes.forEach(note => {
+      const item = document.createElement('li');
+      item.textContent = note;
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+
+    if (release.url) {
+      const link = document.createElement('a');
+      link.href = release.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.className = 'project-release-link';
+      link.textContent = `${release.name || release.tag} release notes →`;
+      details.appendChild(link);
+    }
+
+    return details;
+  }
+
+  /**
+   * Create the deployment status badge
+   * @param {Object} deployment - Deployment status ({ state, createdAt, commitMessage })
+   * @returns {HTMLElement} Badge element
+   */
+  createDeploymentBadge(deployment) {
+    const labels = {
+      READY: 'Live',
+      BUILDING: 'Deploying',
+      ERROR: 'Build failed',
+      CANCELED: 'Canceled'
+    };
+
+    const badge = document.createElement('span');
+    badge.className = `project-deployment project-deployment-${deployment.state.toLowerCase()}`;
+    badge.textContent = labels[deployment.state] || deployment.state;
+
+    const details = [];
+    if (deployment.createdAt) {
+      details.push(`Deployed ${new Date(deployment.createdAt).toLocaleString()}`);
+    }
+    if (deployment.commitMessage) {
+      details.push(deployment.commitMessage.split('\n')[0]);
+    }
+    if (details.length > 0) {
+      badge.title = details.join(' - ');
+    }
+
+    return badge;
+  }
+
+  /**
+   * Create the badge marking an unreachable demo
+   * When a fallback URL answered instead, the badge says the card links to the fallback
+   * @param {Object} linkHealth - Link health ({ url, ok, status, error, checkedAt, fallbackUrl,
+   *   unreachableUrls })
+   * @returns {HTMLElement} Badge element
+   */
+  createOfflineBadge(linkHealth) {
+    const badge = document.createElement('span');
+    const checked = `checked ${new Date(linkHealth.checkedAt).toLocaleString()}`;
+
+    if (linkHealth.ok && linkHealth.fallbackUrl) {
+      badge.className = 'project-offline project-offline-fallback';
+      badge.textContent = 'Demo offline, showing fallback';
+      badge.title = `${(linkHealth.unreachableUrls || []).join(', ')} unreachable - showing ${linkHealth.fallbackUrl} (${checked})`;
+      return badge;
+    }
+
+    badge.className = 'project-offline';
+    badge.textContent = 'Demo offline';
+
+    const reason = linkHealth.status ? `HTTP ${linkHealth.status}` : linkHealth.error || 'unreachable';
+    badge.title = `${linkHealth.url} - ${reason} (${checked})`;
+
+    return badge;
+  }
+
+  /**
+   * Format a count compactly (1234 -> 1.2k)
+   * @param {number} count - Count to format
+   * @returns {string} Formatted count
+   */
+  formatCount(count) {
+    if (count >= 1000) {
+      return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+    }
+    return String(count);
+  }
+
   /**
    * Create topics/tags element
    * @param {Array} topics - Array of topic strings
@@ -251,6 +750,17 @@ export class ProjectRenderer {
     liveLink.textContent = 'View Project';
     container.appendChild(liveLink);
 
+    // Latest preview deployment (work in progress)
+    if (this.options.showPreview && project.deployment && project.deployment.previewUrl) {
+      const previewLink = document.createElement('a');
+      previewLink.href = project.deployment.previewUrl;
+      previewLink.target = '_blank';
+      previewLink.rel = 'noopener noreferrer';
+      previewLink.className = 'project-link project-link-secondary project-link-preview';
+      previewLink.textContent = 'View Preview';
+      container.appendChild(previewLink);
+    }
+
     // GitHub repo link (secondary)
     if (project.repoUrl && project.repoUrl !== project.liveUrl) {
       const repoLink = document.createElement('a');
@@ -301,6 +811,33 @@ export class ProjectRenderer {
     `;
   }
 
+  /**
+   * Show a notice above the rendered projects (e.g. partial data)
+   * @param {string} message - Notice message to display
+   */
+  showNotice(message) {
+    if (!this.container) {
+      if (!this.initialize()) {
+        return;
+      }
+    }
+
+    const existing = this.container.querySelector('.projects-notice');
+    if (existing) {
+      existing.remove();
+    }
+
+    const notice = document.createElement('div');
+    notice.className = 'projects-notice';
+    notice.setAttribute('role', 'status');
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    notice.appendChild(text);
+
+    this.container.insertBefore(notice, this.container.firstChild);
+  }
+
   /**
    * Show empty state message
    */
@@ -0,0 +1,130 @@
+// Cloudflare Pages Provider - Deployment provider adapter for Cloudflare Pages
+// Matches Pages projects by their linked repository and reports the custom domain and latest deployment
+// Note: The Cloudflare API does not allow browser (CORS) requests - use it through server/proxy.js
+
+import { DeploymentProvider, toUrl } from './deployment-provider.js';
+
+// Cloudflare deployment stage statuses, mapped to the states shown on project cards
+const STAGE_STATES = {
+  success: 'READY',
+  failure: 'ERROR',
+  canceled: 'CANCELED',
+  active: 'BUILDING',
+  idle: 'BUILDING'
+};
+
+/**
+ * CloudflarePagesProvider - Resolves live URLs and deployment status from Cloudflare Pages
+ */
+export class CloudflarePagesProvider extends DeploymentProvider {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string|null} options.token - Cloudflare API token (Pages read permission)
+   * @param {string|null} options.accountId - Cloudflare account ID
+   * @param {Object} options.overrides - Per-repository overrides (see cloudflarePagesProjects in config.js)
+   */
+  constructor(options = {}) {
+    super('cloudflarePages', options);
+    this.accountId = options.accountId || null;
+    this.apiBase = 'https://api.cloudflare.com/client/v4';
+  }
+
+  isConfigured() {
+    return Boolean(this.token && this.accountId);
+  }
+
+  /**
+   * List the Pages projects of the account (once per run)
+   * @returns {Promise<Array>} Array of Pages project objects
+   */
+  fetchProjects() {
+    return this.shared('projects', async () => {
+      const data = await this.getJson(
+        `${this.apiBase}/accounts/${encodeURIComponent(this.accountId)}/pages/projects`,
+        'Pages projects'
+      );
+
+      const projects = data && Array.isArray(data.result) ? data.result : [];
+      console.log(`Found ${projects.length} Cloudflare Pages projects`);
+
+      return projects;
+    });
+  }
+
+  /**
+   * Get the card state of a deployment from its latest stage
+   * @param {Object} deployment - Pages deployment object
+   * @returns {string|null} READY, BUILDING, ERROR, CANCELED or null
+   */
+  getDeploymentState(deployment) {
+    const stage = deployment.latest_stage || {};
+    const state = STAGE_STATES[stage.status] || null;
+
+    // A finished build stage is not a finished deployment
+    return state === 'READY' && stage.name && stage.name !== 'deploy' ? 'BUILDING' : state;
+  }
+
+  /**
+   * Summarize the production deployment of a Pages project and any newer preview
+   * @param {Object} pagesProject - Pages project object
+   * @returns {Object|null} Deployment status or null if never deployed
+   */
+  getDeploymentStatus(pagesProject) {
+    const latest = pagesProject.latest_deployment;
+    if (!latest) {
+      return null;
+    }
+
+    const production = latest.environment === 'preview'
+      ? pagesProject.canonical_deployment || latest
+      : latest;
+    const trigger = production.deployment_trigger || {};
+    const metadata = trigger.metadata || {};
+    const preview = production !== latest && this.getDeploymentState(latest) === 'READY' ? latest : null;
+
+    return {
+      state: this.getDeploymentState(production),
+      createdAt: production.created_on || null,
+      commitMessage: metadata.commit_message || null,
+      url: production.url || null,
+      previewUrl: preview ? preview.url || null : null
+    };
+  }
+
+  /**
+   * Find the Cloudflare Pages deployment of a project
+   * URL order: override domain > custom domain > *.pages.dev
+   * @param {Object} project - Project parsed from GitHub
+   * @returns {Promise<Object|null>} { url, deployment } or null if not deployed on Cloudflare Pages
+   */
+  async resolve(project) {
+    const override = this.getOverride(project);
+    if (override.skip) {
+      return null;
+    }
+
+    const pagesProject = this.findLinked(
+      await this.fetchProjects(),
+      project,
+      item => {
+        const config = item.source && item.source.config;
+        return config ? `${config.owner}/${config.repo_name}` : null;
+      },
+      item => item.name
+    );
+
+    if (!pagesProject) {
+      return override.domain ? { url: override.domain, deployment: null } : null;
+    }
+
+    const customDomain = (pagesProject.domains || []).find(domain => !/\.pages\.dev$/i.test(domain));
+    const url = override.domain ||
+      (customDomain ? toUrl(customDomain) : null) ||
+      (pagesProject.subdomain ? toUrl(pagesProject.subdomain) : null);
+
+    return {
+      url,
+      deployment: this.getDeploymentStatus(pagesProject)
+    };
+  }
+}
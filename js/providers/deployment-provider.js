@@ -0,0 +1,203 @@
+// Deployment Provider - Base class for deployment provider adapters
+// Adapters find the deployment of a repository on a hosting provider and report its live URL
+
+import { readValidators, conditionalHeaders } from '../cache-manager.js';
+
+/**
+ * Normalize a domain or URL to an https URL
+ * @param {string} domain - Domain name or URL
+ * @returns {string} URL
+ */
+export function toUrl(domain) {
+  return /^https?:\/\//.test(domain) ? domain : `https://${domain}`;
+}
+
+/**
+ * Check whether a git repository URL or "owner/name" slug points at a project's repository
+ * @param {Object} project - Project parsed from GitHub ({ name, owner })
+ * @param {string} repository - Repository URL (https://github.com/owner/name(.git)) or slug
+ * @returns {boolean} True if the repository is the project's
+ */
+export function isSameRepository(project, repository) {
+  if (!repository) {
+    return false;
+  }
+
+  const slug = repository
+    .replace(/^(https?:\/\/|git@)(www\.)?github\.com[/:]/i, '')
+    .replace(/\.git$/i, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+  const [owner, name] = slug.split('/');
+
+  return name === project.name.toLowerCase() &&
+    (!project.owner || owner === project.owner.toLowerCase());
+}
+
+/**
+ * DeploymentProvider - Shared plumbing for provider adapters
+ *
+ * Adapters implement:
+ *   isConfigured() - Whether the adapter can be asked (e.g. has a token)
+ *   resolve(project) - { url, deployment } for the project's deployment, or null if none
+ * and inherit validator tracking for conditional cache revalidation.
+ *
+ * deployment is { state, createdAt, commitMessage, url, previewUrl } with state one of
+ * READY, BUILDING, ERROR or CANCELED.
+ */
+export class DeploymentProvider {
+  /**
+   * @param {string} name - Provider name (key of the deploymentProviders config)
+   * @param {Object} options - Adapter options
+   * @param {string|null} options.token - API token (optional)
+   * @param {Object} options.overrides - Per-repository overrides by repo name:
+   *   a provider project/site name, { project, domain }, or false to skip the repository
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.token = options.token || null;
+    this.overrides = options.overrides || {};
+
+    // HTTP validators of the responses fetched in the last run, by URL
+    this.validators = {};
+
+    // Requests shared by all repositories in the current run (e.g. the site list), by key
+    this.sharedRequests = {};
+  }
+
+  /**
+   * Check if the adapter can be asked for deployments
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.token);
+  }
+
+  /**
+   * Clear the state of the previous run
+   */
+  reset() {
+    this.validators = {};
+    this.sharedRequests = {};
+  }
+
+  /**
+   * Run a request once per run, sharing it between concurrent lookups
+   * A failed request is dropped so the next lookup retries it
+   * @param {string} key - Request key
+   * @param {Function} load - Async function performing the request
+   * @returns {Promise<*>} Result of the shared request
+   */
+  shared(key, load) {
+    if (!this.sharedRequests[key]) {
+      this.sharedRequests[key] = load().catch(error => {
+        delete this.sharedRequests[key];
+        throw error;
+      });
+    }
+
+    return this.sharedRequests[key];
+  }
+
+  /**
+   * Get the override configured for a repository
+   * @param {Object} project - Project parsed from GitHub
+   * @returns {Object} { skip, name, domain } - name/domain null when not overridden
+   */
+  getOverride(project) {
+    const override = this.overrides[project.name];
+
+    return {
+      skip: override === false,
+      name: typeof override === 'string' ? override : (override && override.project) || null,
+      domain: override && override.domain ? toUrl(override.domain) : null
+    };
+  }
+
+  /**
+   * Find the provider project deploying a repository
+   * Matches the linked git repository first, then the name
+   * @param {Array} items - Provider projects/sites/services
+   * @param {Object} project - Project parsed from GitHub
+   * @param {Function} getRepository - Returns the linked repository URL or slug of an item
+   * @param {Function} getName - Returns the name of an item
+   * @returns {Object|null} Matching item or null
+   */
+  findLinked(items, project, getRepository, getName) {
+    const { name } = this.getOverride(project);
+
+    if (name) {
+      return items.find(item => getName(item) === name) || null;
+    }
+
+    return items.find(item => isSameRepository(project, getRepository(item))) ||
+      items.find(item => (getName(item) || '').toLowerCase() === project.name.toLowerCase()) ||
+      null;
+  }
+
+  /**
+   * Send an authenticated request to the provider API
+   * @param {string} url - Request URL
+   * @param {Object} headers - Extra request headers
+   * @returns {Promise<Response>} Fetch response
+   */
+  async request(url, headers = {}) {
+    return fetch(url, {
+      headers: {
+        ...headers,
+        'Authorization': `Bearer ${this.token}`
+      }
+    });
+  }
+
+  /**
+   * Send a GET request and parse the JSON body, recording validators
+   * @param {string} url - Request URL
+   * @param {string} label - What is being fetched (for logging)
+   * @returns {Promise<Object|Array|null>} Parsed body, or null on 404 or auth errors
+   */
+  async getJson(url, label) {
+    const response = await this.request(url);
+
+    if (!response.ok) {
+      // Don't throw on 404 or auth errors, just log and return empty
+      if (response.status === 404) {
+        console.log(`No ${this.name} ${label} found`);
+        return null;
+      }
+      if (response.status === 401 || response.status === 403) {
+        console.warn(`${this.name} authentication failed for ${label}`);
+        return null;
+      }
+      throw new Error(`${this.name} API error: ${response.status} ${response.statusText}`);
+    }
+
+    this.validators[url] = readValidators(response);
+    return response.json();
+  }
+
+  /**
+   * Check whether a previously fetched URL is unchanged, using a conditional request
+   * @param {string} url - Request URL
+   * @param {Object} validator - { etag, lastModified } stored from the last response
+   * @returns {Promise<boolean>} True if the provider answered 304 Not Modified
+   */
+  async isNotModified(url, validator) {
+    const headers = conditionalHeaders(validator);
+    if (!this.isConfigured() || Object.keys(headers).length === 0) {
+      return false;
+    }
+
+    const response = await this.request(url, headers);
+    return response.status === 304;
+  }
+
+  /**
+   * Find the deployment of a project
+   * @param {Object} project - Project parsed from GitHub
+   * @returns {Promise<Object|null>} { url, deployment } or null if not deployed here
+   */
+  async resolve(project) {
+    throw new Error(`${this.name} provider does not implement resolve()`);
+  }
+}
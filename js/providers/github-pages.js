@@ -0,0 +1,51 @@
+// GitHub Pages Provider - Deployment provider adapter for GitHub Pages
+// Uses the has_pages flag of the repository and the <owner>.github.io URL convention - no requests
+
+import { DeploymentProvider } from './deployment-provider.js';
+
+/**
+ * GitHubPagesProvider - Resolves live URLs of repositories published with GitHub Pages
+ * Project sites with a custom domain are redirected there by GitHub
+ */
+export class GitHubPagesProvider extends DeploymentProvider {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {boolean} options.enabled - Whether to use GitHub Pages URLs (default: true)
+   * @param {Object} options.overrides - Per-repository overrides (see githubPagesSites in config.js)
+   */
+  constructor(options = {}) {
+    super('githubPages', options);
+    this.enabled = options.enabled !== false;
+  }
+
+  isConfigured() {
+    return this.enabled;
+  }
+
+  /**
+   * Get the GitHub Pages URL of a project
+   * @param {Object} project - Project parsed from GitHub ({ name, owner, hasPages })
+   * @returns {Promise<Object|null>} { url, deployment } or null if not published with Pages
+   */
+  async resolve(project) {
+    const override = this.getOverride(project);
+    if (override.skip || !project.owner) {
+      return null;
+    }
+    if (override.domain) {
+      return { url: override.domain, deployment: null };
+    }
+    if (!project.hasPages) {
+      return null;
+    }
+
+    const host = `${project.owner.toLowerCase()}.github.io`;
+
+    // The <owner>.github.io repository is served from the root
+    const url = project.name.toLowerCase() === host
+      ? `https://${host}/`
+      : `https://${host}/${project.name}/`;
+
+    return { url, deployment: null };
+  }
+}
@@ -0,0 +1,147 @@
+// Netlify Provider - Deployment provider adapter for Netlify
+// Matches sites by their linked repository and reports the custom domain and latest deploy
+
+import { DeploymentProvider, toUrl } from './deployment-provider.js';
+
+// Maximum pages of 100 sites to list per run
+const MAX_SITE_PAGES = 5;
+
+// Netlify deploy states, mapped to the states shown on project cards
+const DEPLOY_STATES = {
+  ready: 'READY',
+  error: 'ERROR',
+  rejected: 'ERROR',
+  new: 'BUILDING',
+  enqueued: 'BUILDING',
+  building: 'BUILDING',
+  uploading: 'BUILDING',
+  uploaded: 'BUILDING',
+  preparing: 'BUILDING',
+  prepared: 'BUILDING',
+  processing: 'BUILDING',
+  canceled: 'CANCELED'
+};
+
+/**
+ * NetlifyProvider - Resolves live URLs and deploy status from Netlify
+ */
+export class NetlifyProvider extends DeploymentProvider {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string|null} options.token - Netlify personal access token
+   * @param {Object} options.overrides - Per-repository overrides (see netlifySites in config.js)
+   */
+  constructor(options = {}) {
+    super('netlify', options);
+    this.apiBase = 'https://api.netlify.com/api/v1';
+  }
+
+  /**
+   * List the sites of the account (once per run)
+   * @returns {Promise<Array>} Array of Netlify site objects
+   */
+  fetchSites() {
+    return this.shared('sites', () => this.listSites());
+  }
+
+  /**
+   * List the sites of the account
+   * @returns {Promise<Array>} Array of Netlify site objects
+   */
+  async listSites() {
+    const sites = [];
+
+    for (let page = 1; page <= MAX_SITE_PAGES; page++) {
+      const data = await this.getJson(`${this.apiBase}/sites?filter=all&per_page=100&page=${page}`, 'sites');
+      if (!Array.isArray(data)) {
+        break;
+      }
+
+      sites.push(...data);
+
+      if (data.length < 100) {
+        break;
+      }
+    }
+
+    console.log(`Found ${sites.length} Netlify sites`);
+
+    return sites;
+  }
+
+  /**
+   * Fetch the latest deploys of a site
+   * @param {string} siteId - Netlify site ID
+   * @returns {Promise<Array>} Array of deploy objects, newest first
+   */
+  async fetchDeploys(siteId) {
+    const data = await this.getJson(
+      `${this.apiBase}/sites/${encodeURIComponent(siteId)}/deploys?per_page=10`,
+      `deploys for ${siteId}`
+    );
+
+    return Array.isArray(data) ? data : [];
+  }
+
+  /**
+   * Summarize the latest production deploy and any newer preview
+   * @param {Array} deploys - Array of deploy objects, newest first
+   * @returns {Object|null} Deployment status or null if none
+   */
+  getDeploymentStatus(deploys) {
+    const latest = deploys.find(deploy => deploy.context === 'production') || deploys[0];
+    if (!latest) {
+      return null;
+    }
+
+    const preview = deploys.find(
+      deploy =>
+        deploy.context !== 'production' &&
+        deploy.state === 'ready' &&
+        new Date(deploy.created_at) > new Date(latest.created_at)
+    );
+
+    return {
+      state: DEPLOY_STATES[latest.state] || (latest.state ? latest.state.toUpperCase() : null),
+      createdAt: latest.created_at || null,
+      commitMessage: latest.title || null,
+      url: latest.deploy_ssl_url || null,
+      previewUrl: preview ? preview.deploy_ssl_url || null : null
+    };
+  }
+
+  /**
+   * Find the Netlify deploy of a project
+   * URL order: override domain > custom domain > *.netlify.app
+   * @param {Object} project - Project parsed from GitHub
+   * @returns {Promise<Object|null>} { url, deployment } or null if not deployed on Netlify
+   */
+  async resolve(project) {
+    const override = this.getOverride(project);
+    if (override.skip) {
+      return null;
+    }
+
+    const site = this.findLinked(
+      await this.fetchSites(),
+      project,
+      item => item.build_settings && item.build_settings.repo_url,
+      item => item.name
+    );
+
+    if (!site) {
+      return override.domain ? { url: override.domain, deployment: null } : null;
+    }
+
+    const url = override.domain ||
+      (site.custom_domain ? toUrl(site.custom_domain) : null) ||
+      site.ssl_url ||
+      site.url ||
+      null;
+
+    return {
+      url,
+      deployment: this.getDeploymentStatus(await this.fetchDeploys(site.id))
+    };
+  }
+}
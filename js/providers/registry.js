@@ -0,0 +1,54 @@
+// Provider Registry - Builds the deployment provider adapters from the config
+// Adapters are returned in the configured priority order (deploymentProviders)
+
+import { VercelClient } from '../vercel-client.js';
+import { NetlifyProvider } from './netlify.js';
+import { CloudflarePagesProvider } from './cloudflare-pages.js';
+import { RenderProvider } from './render.js';
+import { GitHubPagesProvider } from './github-pages.js';
+
+// Adapter factories by provider name
+const PROVIDER_FACTORIES = {
+  vercel: config => new VercelClient(config.vercelToken, config.vercelTeamId, {
+    overrides: config.vercelProjects
+  }),
+  netlify: config => new NetlifyProvider({
+    token: config.netlifyToken,
+    overrides: config.netlifySites
+  }),
+  cloudflarePages: config => new CloudflarePagesProvider({
+    token: config.cloudflareApiToken,
+    accountId: config.cloudflareAccountId,
+    overrides: config.cloudflarePagesProjects
+  }),
+  render: config => new RenderProvider({
+    token: config.renderApiKey,
+    overrides: config.renderServices
+  }),
+  githubPages: config => new GitHubPagesProvider({
+    enabled: config.githubPagesEnabled,
+    overrides: config.githubPagesSites
+  })
+};
+
+// Order used when deploymentProviders is not configured
+const DEFAULT_ORDER = ['vercel', 'netlify', 'cloudflarePages', 'render', 'githubPages'];
+
+/**
+ * Create the deployment provider adapters
+ * @param {Object} config - Configuration object
+ * @returns {Array} Provider adapters in priority order
+ */
+export function createProviders(config) {
+  const order = config.deploymentProviders || DEFAULT_ORDER;
+
+  return order
+    .filter(name => {
+      if (!PROVIDER_FACTORIES[name]) {
+        console.warn(`Unknown deployment provider "${name}", skipping`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => PROVIDER_FACTORIES[name](config));
+}
@@ -0,0 +1,147 @@
+// Render Provider - Deployment provider adapter for Render
+// Matches services by their linked repository and reports the custom domain and latest deploy
+// Note: The Render API does not allow browser (CORS) requests - use it through server/proxy.js
+
+import { DeploymentProvider, toUrl } from './deployment-provider.js';
+
+// Maximum pages of 100 services to list per run
+const MAX_SERVICE_PAGES = 5;
+
+// Render deploy statuses, mapped to the states shown on project cards
+const DEPLOY_STATES = {
+  live: 'READY',
+  deactivated: 'READY',
+  build_failed: 'ERROR',
+  update_failed: 'ERROR',
+  pre_deploy_failed: 'ERROR',
+  canceled: 'CANCELED',
+  created: 'BUILDING',
+  queued: 'BUILDING',
+  build_in_progress: 'BUILDING',
+  update_in_progress: 'BUILDING',
+  pre_deploy_in_progress: 'BUILDING'
+};
+
+/**
+ * RenderProvider - Resolves live URLs and deploy status from Render
+ */
+export class RenderProvider extends DeploymentProvider {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string|null} options.token - Render API key
+   * @param {Object} options.overrides - Per-repository overrides (see renderServices in config.js)
+   */
+  constructor(options = {}) {
+    super('render', options);
+    this.apiBase = 'https://api.render.com/v1';
+  }
+
+  /**
+   * List the services of the account (once per run)
+   * @returns {Promise<Array>} Array of Render service objects
+   */
+  fetchServices() {
+    return this.shared('services', () => this.listServices());
+  }
+
+  /**
+   * List the services of the account
+   * @returns {Promise<Array>} Array of Render service objects
+   */
+  async listServices() {
+    const services = [];
+    let cursor = null;
+
+    for (let page = 1; page <= MAX_SERVICE_PAGES; page++) {
+      const url = `${this.apiBase}/services?limit=100${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+      const data = await this.getJson(url, 'services');
+      if (!Array.isArray(data) || data.length === 0) {
+        break;
+      }
+
+      services.push(...data.map(entry => entry.service));
+
+      cursor = data[data.length - 1].cursor;
+      if (data.length < 100 || !cursor) {
+        break;
+      }
+    }
+
+    console.log(`Found ${services.length} Render services`);
+
+    return services;
+  }
+
+  /**
+   * Fetch the verified custom domains of a service
+   * @param {string} serviceId - Render service ID
+   * @returns {Promise<Array>} Domain names
+   */
+  async fetchCustomDomains(serviceId) {
+    const data = await this.getJson(
+      `${this.apiBase}/services/${encodeURIComponent(serviceId)}/custom-domains`,
+      `custom domains for ${serviceId}`
+    );
+
+    return (Array.isArray(data) ? data : [])
+      .map(entry => entry.customDomain)
+      .filter(domain => domain && domain.verificationStatus === 'verified' && !domain.redirectForName)
+      .map(domain => domain.name);
+  }
+
+  /**
+   * Fetch the latest deploy of a service
+   * @param {string} serviceId - Render service ID
+   * @returns {Promise<Object|null>} Deploy object or null if never deployed
+   */
+  async fetchLatestDeploy(serviceId) {
+    const data = await this.getJson(
+      `${this.apiBase}/services/${encodeURIComponent(serviceId)}/deploys?limit=1`,
+      `deploys for ${serviceId}`
+    );
+
+    return Array.isArray(data) && data.length > 0 ? data[0].deploy : null;
+  }
+
+  /**
+   * Find the Render deploy of a project
+   * URL order: override domain > verified custom domain > *.onrender.com
+   * @param {Object} project - Project parsed from GitHub
+   * @returns {Promise<Object|null>} { url, deployment } or null if not deployed on Render
+   */
+  async resolve(project) {
+    const override = this.getOverride(project);
+    if (override.skip) {
+      return null;
+    }
+
+    const service = this.findLinked(
+      await this.fetchServices(),
+      project,
+      item => item.repo,
+      item => item.name
+    );
+
+    if (!service || service.suspended === 'suspended') {
+      return override.domain ? { url: override.domain, deployment: null } : null;
+    }
+
+    const [customDomain] = override.domain ? [] : await this.fetchCustomDomains(service.id);
+    const details = service.serviceDetails || {};
+    const url = override.domain || (customDomain ? toUrl(customDomain) : null) || details.url || null;
+
+    const deploy = await this.fetchLatestDeploy(service.id);
+    const commit = deploy && deploy.commit ? deploy.commit : {};
+
+    return {
+      url,
+      deployment: deploy ? {
+        state: DEPLOY_STATES[deploy.status] || null,
+        createdAt: deploy.finishedAt || deploy.createdAt || null,
+        commitMessage: commit.message || null,
+        url: details.url || null,
+        previewUrl: null
+      } : null
+    };
+  }
+}
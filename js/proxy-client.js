@@ -0,0 +1,79 @@
+// Proxy Client - Handles communication with the portfolio proxy server (server/proxy.js)
+// Fetches projects the proxy built server-side, so API tokens never reach the browser
+
+import { readValidators, conditionalHeaders } from './cache-manager.js';
+import { RateLimitError } from './error-handler.js';
+
+/**
+ * ProxyClient - Fetches processed project data from the proxy endpoint
+ */
+export class ProxyClient {
+  /**
+   * @param {string|null} projectsEndpoint - URL of the proxy's projects endpoint (e.g. /api/projects)
+   */
+  constructor(projectsEndpoint) {
+    this.projectsEndpoint = projectsEndpoint;
+
+    // HTTP validators of the responses fetched in the last run, by URL
+    this.validators = {};
+  }
+
+  /**
+   * Check if the proxy client is configured (has an endpoint)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.projectsEndpoint);
+  }
+
+  /**
+   * Check whether a previously fetched URL is unchanged, using a conditional request
+   * @param {string} url - Request URL
+   * @param {Object} validator - { etag, lastModified } stored from the last response
+   * @returns {Promise<boolean>} True if the proxy answered 304 Not Modified
+   */
+  async isNotModified(url, validator) {
+    const headers = conditionalHeaders(validator);
+    if (Object.keys(headers).length === 0) {
+      return false;
+    }
+
+    const response = await fetch(url, { headers });
+    return response.status === 304;
+  }
+
+  /**
+   * Fetch the processed projects from the proxy
+   * @returns {Promise<Object>} { projects, incomplete, rateLimitError }
+   */
+  async fetchProjects() {
+    const url = this.projectsEndpoint;
+
+    console.log(`Fetching projects from proxy: ${url}`);
+
+    const response = await fetch(url, {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Proxy error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.projects)) {
+      throw new Error('Invalid response from proxy: projects missing');
+    }
+
+    this.validators = { [url]: readValidators(response) };
+
+    const rateLimit = data.rateLimit || null;
+
+    return {
+      projects: data.projects,
+      incomplete: Boolean(data.incomplete),
+      rateLimitError: rateLimit
+        ? new RateLimitError('GitHub API rate limit reached', rateLimit.resetAt ? new Date(rateLimit.resetAt) : null)
+        : null
+    };
+  }
+}
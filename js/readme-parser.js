@@ -0,0 +1,331 @@
+// README Parser - Extracts a short project description from README markdown
+// Skips badges, images, HTML wrappers, tables and code blocks to find real prose
+
+// Explicit description marker: text after it (up to the closing marker or the
+// end of the paragraph) is used as-is
+const DESCRIPTION_MARKER = /<!--\s*portfolio:description\s*-->/i;
+const DESCRIPTION_END_MARKER = /<!--\s*\/portfolio:description\s*-->/i;
+
+// Headings whose first paragraph describes the project
+const DESCRIPTION_HEADING = /^(description|about)\b/i;
+
+// Shortest cleaned paragraph that counts as a description
+const MIN_DESCRIPTION_LENGTH = 10;
+
+/**
+ * Extract a description from README content
+ * Preference: explicit marker > "Description"/"About" section > first prose paragraph
+ * @param {string} readme - README markdown
+ * @param {number} maxLength - Maximum description length (default: 200)
+ * @returns {string|null} Extracted description or null if none found
+ */
+export function extractDescription(readme, maxLength = 200) {
+  if (!readme) {
+    return null;
+  }
+
+  const markdown = stripFrontMatter(readme.replace(/\r\n?/g, '\n'));
+
+  const description =
+    findMarkedDescription(markdown) ||
+    findSectionDescription(parseBlocks(markdown)) ||
+    findFirstParagraph(parseBlocks(markdown));
+
+  return description ? truncateOnWordBoundary(description, maxLength) : null;
+}
+
+/**
+ * Summarize release notes as their first few meaningful lines
+ * @param {string|null} body - Release notes markdown
+ * @param {number} maxLines - Maximum number of lines (default: 4)
+ * @param {number} maxLength - Maximum length of each line (default: 140)
+ * @returns {Array} Plain-text lines (list markers and headings removed)
+ */
+export function summarizeReleaseNotes(body, maxLines = 4, maxLength = 140) {
+  if (!body) {
+    return [];
+  }
+
+  const lines = [];
+  let fence = false;
+
+  for (const rawLine of body.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+
+    if (/^(`{3,}|~{3,})/.test(line)) {
+      fence = !fence;
+      continue;
+    }
+
+    // Headings like "## What's Changed" only label the list below them
+    if (fence || /^#{1,6}\s/.test(line)) {
+      continue;
+    }
+
+    const text = cleanMarkdown(line.replace(/^([-*+]|\d+[.)])\s+/, ''));
+    if (text) {
+      lines.push(truncateOnWordBoundary(text, maxLength));
+    }
+
+    if (lines.length >= maxLines) {
+      break;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Clean markdown and inline HTML from text
+ * @param {string} text - Text with markdown
+ * @returns {string} Plain text
+ */
+export function cleanMarkdown(text) {
+  return text
+    .replace(/<!--[\s\S]*?-->/g, '') // Remove HTML comments
+    .replace(/\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '') // Remove linked images (badges)
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // Remove images
+    .replace(/!\[[^\]]*\]\[[^\]]*\]/g, '') // Remove reference images
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Remove links
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1') // Remove reference links
+    .replace(/<(https?:[^>]+)>/g, '$1') // Unwrap autolinks
+    .replace(/<[^>]+>/g, '') // Remove HTML tags
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/:[a-z0-9_+-]+:/g, '') // Remove emoji shortcodes
+    .replace(/[*_~`]/g, '') // Remove formatting
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .trim();
+}
+
+/**
+ * Truncate text at a word boundary, adding an ellipsis when shortened
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Truncated text
+ */
+export function truncateOnWordBoundary(text, maxLength = 200) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+
+  // A single very long word has no boundary to cut at
+  const truncated = lastSpace > 0 ? cut.slice(0, lastSpace) : cut;
+
+  return `${truncated.replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+/**
+ * Remove YAML front matter from the start of a document
+ * @param {string} markdown - Markdown content
+ * @returns {string} Markdown without front matter
+ */
+function stripFrontMatter(markdown) {
+  return markdown.replace(/^---[ \t]*\n[\s\S]*?\n---[ \t]*(\n|$)/, '');
+}
+
+/**
+ * Find a description marked with <!-- portfolio:description -->
+ * @param {string} markdown - Markdown content
+ * @returns {string|null} Marked description or null
+ */
+function findMarkedDescription(markdown) {
+  const marker = markdown.match(DESCRIPTION_MARKER);
+  if (!marker) {
+    return null;
+  }
+
+  let marked = markdown.slice(marker.index + marker[0].length);
+  const end = marked.match(DESCRIPTION_END_MARKER);
+
+  if (end) {
+    marked = marked.slice(0, end.index);
+  }
+
+  return findFirstParagraph(parseBlocks(marked));
+}
+
+/**
+ * Find the first paragraph of a "Description" or "About" section
+ * @param {Array} blocks - Parsed blocks
+ * @returns {string|null} Section description or null
+ */
+function findSectionDescription(blocks) {
+  const headingIndex = blocks.findIndex(
+    block => block.type === 'heading' && DESCRIPTION_HEADING.test(block.text)
+  );
+
+  if (headingIndex === -1) {
+    return null;
+  }
+
+  const { level } = blocks[headingIndex];
+
+  for (let i = headingIndex + 1; i < blocks.length; i++) {
+    const block = blocks[i];
+
+    // Section ends at the next heading of the same or a higher level
+    if (block.type === 'heading' && block.level <= level) {
+      return null;
+    }
+
+    if (isDescriptive(block)) {
+      return block.text;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the first paragraph that reads like prose
+ * @param {Array} blocks - Parsed blocks
+ * @returns {string|null} Paragraph text or null
+ */
+function findFirstParagraph(blocks) {
+  const paragraph = blocks.find(isDescriptive);
+  return paragraph ? paragraph.text : null;
+}
+
+/**
+ * Check if a block can serve as a description
+ * @param {Object} block - Parsed block
+ * @returns {boolean} True for prose paragraphs
+ */
+function isDescriptive(block) {
+  return (
+    block.type === 'paragraph' &&
+    block.text.length >= MIN_DESCRIPTION_LENGTH &&
+    /[a-z]/i.test(block.text)
+  );
+}
+
+/**
+ * Split markdown into heading and paragraph blocks, dropping everything else
+ * (code, tables, lists, rules, comments, badge/image-only lines, HTML wrappers)
+ * @param {string} markdown - Markdown content
+ * @returns {Array} Array of { type: 'heading' | 'paragraph', text, level } blocks
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let fence = null;
+  let inComment = false;
+  let htmlHeading = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: cleanMarkdown(paragraph.join(' ')) });
+      paragraph = [];
+    }
+  };
+
+  for (const rawLine of markdown.split('\n')) {
+    const line = rawLine.trim();
+
+    // Fenced code blocks
+    if (fence) {
+      if (line.startsWith(fence)) {
+        fence = null;
+      }
+      continue;
+    }
+    const fenceMatch = line.match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    // Multi-line HTML comments
+    if (inComment) {
+      if (line.includes('-->')) {
+        inComment = false;
+      }
+      continue;
+    }
+    if (line.startsWith('<!--') && !line.includes('-->')) {
+      flush();
+      inComment = true;
+      continue;
+    }
+
+    if (!htmlHeading && !line) {
+      flush();
+      continue;
+    }
+
+    // ATX headings
+    const atxHeading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (!htmlHeading && atxHeading) {
+      flush();
+      blocks.push({ type: 'heading', level: atxHeading[1].length, text: cleanMarkdown(atxHeading[2]) });
+      continue;
+    }
+
+    // HTML headings, possibly spanning several lines
+    const htmlHeadingStart = line.match(/^<h([1-6])\b/i);
+    if (!htmlHeading && htmlHeadingStart) {
+      flush();
+      htmlHeading = { level: Number(htmlHeadingStart[1]), lines: [] };
+    }
+    if (htmlHeading) {
+      htmlHeading.lines.push(line);
+      if (new RegExp(`</h${htmlHeading.level}>`, 'i').test(line)) {
+        blocks.push({
+          type: 'heading',
+          level: htmlHeading.level,
+          text: cleanMarkdown(htmlHeading.lines.join(' '))
+        });
+        htmlHeading = null;
+      }
+      continue;
+    }
+
+    // Setext headings (text underlined with === or ---)
+    if (/^(=+|-+)$/.test(line) && paragraph.length > 0) {
+      blocks.push({
+        type: 'heading',
+        level: line.startsWith('=') ? 1 : 2,
+        text: cleanMarkdown(paragraph.join(' '))
+      });
+      paragraph = [];
+      continue;
+    }
+
+    // Horizontal rules, tables and list items end a paragraph and are skipped
+    if (
+      /^([-*_])(\s*\1){2,}$/.test(line) ||
+      line.startsWith('|') ||
+      /^:?-+:?(\s*\|\s*:?-+:?)+\|?$/.test(line) ||
+      /^([-*+]|\d+[.)])\s+/.test(line)
+    ) {
+      flush();
+      continue;
+    }
+
+    // Link reference definitions and indented code
+    if (/^\[[^\]]+\]:\s*\S+/.test(line) || (/^( {4}|\t)/.test(rawLine) && paragraph.length === 0)) {
+      continue;
+    }
+
+    // Blockquotes are kept as prose
+    const text = line.replace(/^>\s?/, '');
+
+    // Badge rows, images and HTML wrappers clean down to nothing
+    if (!cleanMarkdown(text)) {
+      continue;
+    }
+
+    paragraph.push(text);
+  }
+
+  flush();
+  return blocks;
+}
@@ -0,0 +1,107 @@
+// Sort Strategies - Comparators for ordering the non-priority projects
+// Selected with sortStrategy in config.js; ties always fall back to name, then id
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weights used by the 'score' strategy when sortScoreWeights is not configured
+export const DEFAULT_SCORE_WEIGHTS = {
+  stars: 1,
+  forks: 0.5,
+  recency: 2,
+  recencyDays: 365
+};
+
+/**
+ * Get the update time of a project in milliseconds: the last push, or the last
+ * update for repositories never pushed to (as updatedWithinDays and the card date)
+ * Manual projects without a GitHub match have no update time and sort last
+ * @param {Object} project - Project object
+ * @returns {number} Timestamp (0 when unknown)
+ */
+function getUpdateTime(project) {
+  const time = new Date(project.pushedAt || project.updatedAt || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Compare projects by name, then id, so equal projects keep a deterministic order
+ * @param {Object} a - Project object
+ * @param {Object} b - Project object
+ * @returns {number} Comparison result
+ */
+export function compareTiebreaker(a, b) {
+  const byName = (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' });
+  if (byName !== 0) {
+    return byName;
+  }
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Score a project for the 'score' strategy
+ * Stars and forks count logarithmically; recency goes from 1 (updated now) to 0
+ * (not updated within recencyDays)
+ * @param {Object} project - Project object
+ * @param {Object} weights - { stars, forks, recency, recencyDays }
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Score (higher first)
+ */
+export function scoreProject(project, weights = DEFAULT_SCORE_WEIGHTS, now = Date.now()) {
+  const { stars = 0, forks = 0, recency = 0, recencyDays = DEFAULT_SCORE_WEIGHTS.recencyDays } = weights;
+  const updateTime = getUpdateTime(project);
+  const ageDays = updateTime ? (now - updateTime) / DAY_MS : Infinity;
+
+  return stars * Math.log1p(project.stars || 0) +
+    forks * Math.log1p(project.forks || 0) +
+    recency * Math.max(0, 1 - ageDays / recencyDays);
+}
+
+// Comparators by strategy name
+const STRATEGIES = {
+  // Most recently pushed (or updated) first
+  recent: () => (a, b) => getUpdateTime(b) - getUpdateTime(a),
+
+  // Most starred first
+  stars: () => (a, b) => (b.stars || 0) - (a.stars || 0),
+
+  // Alphabetical by card title
+  name: () => (a, b) => (a.label || a.name || '').localeCompare(b.label || b.name || '', undefined, { sensitivity: 'base' }),
+
+  // Highest weighted score first
+  score: options => {
+    const weights = { ...DEFAULT_SCORE_WEIGHTS, ...(options.scoreWeights || {}) };
+    const now = Date.now();
+    const scores = new Map();
+    const score = project => {
+      if (!scores.has(project)) {
+        scores.set(project, scoreProject(project, weights, now));
+      }
+      return scores.get(project);
+    };
+
+    return (a, b) => score(b) - score(a);
+  }
+};
+
+/**
+ * Build the comparator for a sort strategy, with the stable tiebreaker applied
+ * @param {string|Function} strategy - 'recent', 'stars', 'name', 'score' or a custom
+ *   comparator (a, b) => number
+ * @param {Object} options - Strategy options
+ * @param {Object} options.scoreWeights - Weights for the 'score' strategy
+ * @returns {Function} Comparator
+ */
+export function getComparator(strategy = 'recent', options = {}) {
+  let compare;
+
+  if (typeof strategy === 'function') {
+    compare = strategy;
+  } else if (STRATEGIES[strategy]) {
+    compare = STRATEGIES[strategy](options);
+  } else {
+    console.warn(`Unknown sort strategy "${strategy}", using "recent"`);
+    compare = STRATEGIES.recent(options);
+  }
+
+  return (a, b) => compare(a, b) || compareTiebreaker(a, b);
+}
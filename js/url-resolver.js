@@ -1,42 +1,177 @@
 // URL Resolver - Handles URL fallback logic for projects
 // Determines the best live URL for a project based on available sources
 
+import { retryWithBackoff } from './error-handler.js';
+
+// Fallback chain used when urlFallbackOrder is not configured
+// 'override' - projectOverrides liveUrl, 'providers' - every deployment provider in
+// deploymentProviders order (or name single providers, e.g. 'vercel'),
+// 'homepage' - GitHub homepage, 'repo' - GitHub repository (always available)
+export const DEFAULT_FALLBACK_ORDER = ['override', 'providers', 'homepage', 'repo'];
+
+/**
+ * Check that a URL is set
+ * @param {string|null} url - URL
+ * @returns {boolean} True if the URL is a non-empty string
+ */
+function isSet(url) {
+  return typeof url === 'string' && url.trim() !== '';
+}
+
+/**
+ * Expand the fallback order into steps, replacing 'providers' with the provider adapters
+ * @param {Array} fallbackOrder - Fallback order from the config
+ * @param {Array} providers - Deployment provider adapters, in priority order
+ * @returns {Array} Steps - provider adapters or 'override'/'homepage'/'repo'
+ */
+function expandFallbackOrder(fallbackOrder, providers) {
+  const steps = [];
+
+  (fallbackOrder || DEFAULT_FALLBACK_ORDER).forEach(step => {
+    if (step === 'providers') {
+      steps.push(...providers);
+      return;
+    }
+
+    const provider = providers.find(adapter => adapter.name === step);
+    steps.push(provider || step);
+  });
+
+  // Each provider is asked once, and the repository is always the last resort
+  return Array.from(new Set([...steps, 'repo']));
+}
+
+/**
+ * Ask a provider adapter for a project's deployment
+ * @param {Object} provider - Deployment provider adapter
+ * @param {Object} project - Project object
+ * @returns {Promise<Object|null>} { url, deployment } or null if not deployed there (or failed)
+ */
+async function resolveWithProvider(provider, project) {
+  if (!provider.isConfigured()) {
+    return null;
+  }
+
+  try {
+    return await retryWithBackoff(
+      () => provider.resolve(project),
+      2, // Fewer retries for providers (to avoid rate limits)
+      500
+    );
+  } catch (error) {
+    console.warn(`Failed to resolve ${provider.name} deployment for ${project.name}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Resolve the live URL for a project using fallback chain
- * Priority: Vercel production URL > GitHub homepage > GitHub repo URL
- * 
+ * Default priority: override > deployment providers > GitHub homepage > GitHub repo URL
+ * An override wins the URL, but the providers after it are still asked for the deployment
+ * status (so overridden projects keep their status badges)
+ *
  * @param {Object} project - Project object with URLs
- * @param {string|null} vercelUrl - Vercel production URL (optional)
- * @returns {string} Resolved live URL
+ * @param {Array} providers - Deployment provider adapters, in priority order
+ * @param {Array} fallbackOrder - Fallback chain (see DEFAULT_FALLBACK_ORDER)
+ * @returns {Promise<Object>} { liveUrl, provider, deployment } - provider is the name of
+ *   the adapter the URL (or, with an override, the deployment) came from (null otherwise);
+ *   deployment may be null
  */
-export function resolveLiveUrl(project, vercelUrl = null) {
-  // Priority 1: Vercel production URL
-  if (vercelUrl && vercelUrl.trim() !== '') {
-    return vercelUrl;
-  }
+export async function resolveLiveUrl(project, providers = [], fallbackOrder = DEFAULT_FALLBACK_ORDER) {
+  let deployment = null;
+  let overrideUrl = null;
+
+  for (const step of expandFallbackOrder(fallbackOrder, providers)) {
+    if (step === 'override') {
+      if (isSet(project.liveUrlOverride)) {
+        overrideUrl = project.liveUrlOverride;
+      }
+      continue;
+    }
+
+    // GitHub homepage URL (if not same as repo URL)
+    if (step === 'homepage') {
+      if (!overrideUrl && isSet(project.homepage) && project.homepage !== project.repoUrl) {
+        return { liveUrl: project.homepage, provider: null, deployment };
+      }
+      continue;
+    }
+
+    if (step === 'repo') {
+      return { liveUrl: overrideUrl || project.repoUrl, provider: null, deployment };
+    }
 
-  // Priority 2: GitHub homepage URL (if not empty and not same as repo URL)
-  if (project.homepage && 
-      project.homepage.trim() !== '' && 
-      project.homepage !== project.repoUrl) {
-    return project.homepage;
+    if (typeof step === 'string') {
+      console.warn(`Unknown URL fallback step "${step}", skipping`);
+      continue;
+    }
+
+    // Deployment provider
+    const result = await resolveWithProvider(step, project);
+
+    if (overrideUrl) {
+      if (result && result.deployment) {
+        return { liveUrl: overrideUrl, provider: step.name, deployment: result.deployment };
+      }
+      continue;
+    }
+
+    if (result && isSet(result.url)) {
+      return { liveUrl: result.url, provider: step.name, deployment: result.deployment || deployment };
+    }
+
+    // Keep the status of a deployment without a usable URL (e.g. first build failed)
+    deployment = deployment || (result && result.deployment) || null;
   }
 
-  // Priority 3: GitHub repository URL (always available)
-  return project.repoUrl;
+  return { liveUrl: overrideUrl || project.repoUrl, provider: null, deployment };
 }
 
 /**
- * Update project with Vercel deployment URL if available
- * 
+ * Update project with the URL and deployment status from the fallback chain
+ *
  * @param {Object} project - Project object
- * @param {string|null} vercelUrl - Vercel production URL (optional)
- * @returns {Object} Updated project object
+ * @param {Array} providers - Deployment provider adapters, in priority order
+ * @param {Array} fallbackOrder - Fallback chain (see DEFAULT_FALLBACK_ORDER)
+ * @returns {Promise<Object>} Updated project object
  */
-export function updateProjectWithVercelUrl(project, vercelUrl) {
+export async function updateProjectWithLiveUrl(project, providers, fallbackOrder = DEFAULT_FALLBACK_ORDER) {
+  const { liveUrl, provider, deployment } = await resolveLiveUrl(project, providers, fallbackOrder);
+
   return {
     ...project,
-    liveUrl: resolveLiveUrl(project, vercelUrl),
-    source: vercelUrl ? 'both' : project.source
+    liveUrl,
+    deployment,
+    deploymentProvider: provider,
+    source: provider ? 'both' : project.source
   };
 }
+
+/**
+ * List the URLs a project can link to, best first
+ * The resolved live URL comes first, then the rest of the fallback chain
+ * (a provider step contributes the URL of the ready deployment)
+ *
+ * @param {Object} project - Project object
+ * @param {Array} fallbackOrder - Fallback chain (see DEFAULT_FALLBACK_ORDER)
+ * @returns {Array} Unique candidate URLs
+ */
+export function getUrlCandidates(project, fallbackOrder = DEFAULT_FALLBACK_ORDER) {
+  const deploymentUrl = project.deployment && project.deployment.state === 'READY'
+    ? project.deployment.url
+    : null;
+
+  const urlsByStep = {
+    override: project.liveUrlOverride,
+    homepage: project.homepage,
+    repo: project.repoUrl
+  };
+
+  const candidates = [project.liveUrl];
+  (fallbackOrder || DEFAULT_FALLBACK_ORDER).forEach(step => {
+    candidates.push(step in urlsByStep ? urlsByStep[step] : deploymentUrl);
+  });
+  candidates.push(project.repoUrl);
+
+  return Array.from(new Set(candidates.filter(isSet)));
+}
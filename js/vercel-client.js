@@ -1,76 +1,211 @@
 // Vercel API Client - Handles communication with Vercel REST API
-// Fetches deployment information for projects
+// Matches repositories to Vercel projects and resolves their production URLs
+// Serves as the 'vercel' deployment provider adapter (see providers/registry.js)
+
+import { DeploymentProvider } from './providers/deployment-provider.js';
+
+// Maximum pages of 100 projects to list per run
+const MAX_PROJECT_PAGES = 5;
+
+// Vercel deployment states, mapped to the states shown on project cards
+const DEPLOYMENT_STATES = {
+  READY: 'READY',
+  ERROR: 'ERROR',
+  CANCELED: 'CANCELED',
+  BUILDING: 'BUILDING',
+  INITIALIZING: 'BUILDING',
+  QUEUED: 'BUILDING'
+};
+
+/**
+ * Check whether a domain is one Vercel generated for the project
+ * @param {string} domain - Domain name
+ * @returns {boolean} True for *.vercel.app domains
+ */
+function isVercelDomain(domain) {
+  return /\.vercel\.app$/i.test(domain);
+}
 
 /**
- * VercelClient - Fetches deployment data from Vercel API
+ * VercelClient - Fetches project, domain and deployment data from Vercel API
+ * Extends DeploymentProvider for its request plumbing and is the Vercel adapter itself
  */
-export class VercelClient {
+export class VercelClient extends DeploymentProvider {
   /**
    * @param {string|null} token - Vercel API token (optional)
    * @param {string|null} teamId - Vercel team ID (optional)
+   * @param {Object} options - Client options
+   * @param {Object} options.overrides - Per-repository overrides by repo name:
+   *   a Vercel project name/ID, { project, domain }, or false to skip the repository
    */
-  constructor(token, teamId = null) {
-    this.token = token;
+  constructor(token, teamId = null, options = {}) {
+    super('vercel', { token, overrides: options.overrides });
     this.teamId = teamId;
     this.apiBase = 'https://api.vercel.com';
   }
 
   /**
-   * Check if Vercel client is configured (has token)
-   * @returns {boolean}
+   * Build an API URL, adding the team ID when configured
+   * @param {string} path - API path (e.g. /v9/projects)
+   * @param {Object} params - Query parameters
+   * @returns {string} Request URL
+   */
+  buildUrl(path, params = {}) {
+    const query = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query.set(key, String(value));
+      }
+    });
+    if (this.teamId) {
+      query.set('teamId', this.teamId);
+    }
+
+    const queryString = query.toString();
+    return `${this.apiBase}${path}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  /**
+   * List the Vercel projects of the account (once per run)
+   * @returns {Promise<Array>} Array of Vercel project objects
+   */
+  async fetchProjects() {
+    if (!this.isConfigured()) {
+      console.warn('Vercel API token not configured, skipping Vercel projects');
+      return [];
+    }
+
+    // Concurrent lookups share one listing; a failed listing is retried by the next lookup
+    return this.shared('projects', () => this.listProjects());
+  }
+
+  /**
+   * List the Vercel projects of the account
+   * @returns {Promise<Array>} Array of Vercel project objects
+   */
+  async listProjects() {
+    const projects = [];
+    let until = null;
+
+    for (let page = 1; page <= MAX_PROJECT_PAGES; page++) {
+      const data = await this.getJson(this.buildUrl('/v9/projects', { limit: 100, until }), 'projects');
+      if (!data) {
+        break;
+      }
+
+      projects.push(...(data.projects || []));
+
+      until = data.pagination ? data.pagination.next : null;
+      if (!until) {
+        break;
+      }
+    }
+
+    console.log(`Found ${projects.length} Vercel projects`);
+
+    return projects;
+  }
+
+  /**
+   * Find the Vercel project deploying a repository
+   * Matches the linked git repository first, then the project name
+   * @param {Array} vercelProjects - Vercel project objects
+   * @param {Object} repo - Project parsed from GitHub ({ id, name, owner })
+   * @param {string|null} projectName - Vercel project name or ID from the overrides
+   * @returns {Object|null} Vercel project or null if none matches
+   */
+  findProject(vercelProjects, repo, projectName = null) {
+    if (projectName) {
+      return vercelProjects.find(
+        vercelProject => vercelProject.name === projectName || vercelProject.id === projectName
+      ) || null;
+    }
+
+    const repoName = repo.name.toLowerCase();
+    const owner = (repo.owner || '').toLowerCase();
+
+    const linked = vercelProjects.find(vercelProject => {
+      const link = vercelProject.link;
+      if (!link || link.type !== 'github') {
+        return false;
+      }
+      if (link.repoId && String(link.repoId) === String(repo.id)) {
+        return true;
+      }
+      return (link.repo || '').toLowerCase() === repoName &&
+        (!owner || (link.org || '').toLowerCase() === owner);
+    });
+
+    if (linked) {
+      return linked;
+    }
+
+    return vercelProjects.find(vercelProject => vercelProject.name.toLowerCase() === repoName) || null;
+  }
+
+  /**
+   * Fetch the domains of a Vercel project
+   * @param {string} projectId - Vercel project ID
+   * @returns {Promise<Array>} Array of domain objects ({ name, verified, redirect, gitBranch })
+   */
+  async fetchDomains(projectId) {
+    const data = await this.getJson(
+      this.buildUrl(`/v9/projects/${encodeURIComponent(projectId)}/domains`, { production: true }),
+      `domains for ${projectId}`
+    );
+
+    return data ? data.domains || [] : [];
+  }
+
+  /**
+   * Pick the production domain from a project's domains and aliases
+   * Prefers verified custom domains over *.vercel.app, and skips redirects and branch domains
+   * @param {Object} vercelProject - Vercel project object
+   * @param {Array} domains - Domain objects of the project
+   * @returns {string|null} Production URL or null if none
    */
-  isConfigured() {
-    return this.token !== null && this.token !== undefined && this.token !== '';
+  getProductionDomain(vercelProject, domains = []) {
+    const productionDomains = domains
+      .filter(domain => domain.verified !== false && !domain.redirect && !domain.gitBranch)
+      .map(domain => domain.name);
+
+    const production = vercelProject.targets && vercelProject.targets.production;
+    const aliases = production && Array.isArray(production.alias) ? production.alias : [];
+
+    const candidates = [...productionDomains, ...aliases];
+    const domain = candidates.find(name => !isVercelDomain(name)) ||
+      // The shortest generated domain is the project alias, not a deployment URL
+      [...candidates].sort((a, b) => a.length - b.length)[0];
+
+    return domain ? `https://${domain}` : null;
   }
 
   /**
    * Fetch deployments for a specific project
-   * @param {string} projectName - Name of the project
+   * @param {string} projectId - Vercel project ID or name
    * @returns {Promise<Array>} Array of deployment objects
    */
-  async fetchDeployments(projectName) {
+  async fetchDeployments(projectId) {
     if (!this.isConfigured()) {
       console.warn('Vercel API token not configured, skipping Vercel deployments');
       return [];
     }
 
     try {
-      // Build URL with query parameters
-      let url = `${this.apiBase}/v6/deployments?projectId=${encodeURIComponent(projectName)}&limit=20`;
-      
-      if (this.teamId) {
-        url += `&teamId=${encodeURIComponent(this.teamId)}`;
-      }
-
-      console.log(`Fetching Vercel deployments for project: ${projectName}`);
-
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${this.token}`
-        }
-      });
-
-      if (!response.ok) {
-        // Don't throw on 404 or auth errors, just log and return empty
-        if (response.status === 404) {
-          console.log(`No Vercel deployments found for ${projectName}`);
-          return [];
-        }
-        if (response.status === 401 || response.status === 403) {
-          console.warn(`Vercel authentication failed for ${projectName}`);
-          return [];
-        }
-        throw new Error(`Vercel API error: ${response.status} ${response.statusText}`);
-      }
+      console.log(`Fetching Vercel deployments for project: ${projectId}`);
 
-      const data = await response.json();
-      const deployments = data.deployments || [];
+      const data = await this.getJson(
+        this.buildUrl('/v6/deployments', { projectId, limit: 20 }),
+        `deployments for ${projectId}`
+      );
+      const deployments = data ? data.deployments || [] : [];
       
-      console.log(`Found ${deployments.length} deployments for ${projectName}`);
+      console.log(`Found ${deployments.length} deployments for ${projectId}`);
       
       return deployments;
     } catch (error) {
-      console.error(`Error fetching Vercel deployments for ${projectName}:`, error);
+      console.error(`Error fetching Vercel deployments for ${projectId}:`, error);
       return [];
     }
   }
@@ -103,12 +238,94 @@ export class VercelClient {
   }
 
   /**
-   * Fetch production URL for a project
-   * @param {string} projectName - Name of the project
+   * Summarize the latest deployment of a project
+   * State, time and commit come from the latest production deployment (or the latest
+   * deployment if the project was never deployed to production); the preview URL is the
+   * latest ready preview that is newer than it
+   * @param {Array} deployments - Array of deployment objects, newest first
+   * @returns {Object|null} { state, createdAt, commitMessage, url, previewUrl } or null if none
+   */
+  getDeploymentStatus(deployments) {
+    if (!Array.isArray(deployments) || deployments.length === 0) {
+      return null;
+    }
+
+    const created = deployment => deployment.created || deployment.createdAt || 0;
+    const latest = deployments.find(deployment => deployment.target === 'production') || deployments[0];
+    const preview = deployments.find(
+      deployment =>
+        deployment.target !== 'production' &&
+        (deployment.state || deployment.readyState) === 'READY' &&
+        created(deployment) > created(latest)
+    );
+
+    const meta = latest.meta || {};
+    const state = latest.state || latest.readyState;
+
+    return {
+      state: DEPLOYMENT_STATES[state] || state || null,
+      createdAt: created(latest) ? new Date(created(latest)).toISOString() : null,
+      commitMessage: meta.githubCommitMessage || meta.gitlabCommitMessage || meta.bitbucketCommitMessage || null,
+      url: latest.url ? `https://${latest.url}` : null,
+      previewUrl: preview && preview.url ? `https://${preview.url}` : null
+    };
+  }
+
+  /**
+   * Fetch the production URL and deployment status for a repository
+   * URL order: override domain > custom domain or production alias > latest production deployment
+   * @param {Object} repo - Project parsed from GitHub ({ id, name, owner })
+   * @returns {Promise<Object>} { productionUrl, deployment } - either may be null
+   */
+  async fetchDeploymentInfo(repo) {
+    const override = this.getOverride(repo);
+
+    if (override.skip) {
+      return { productionUrl: null, deployment: null };
+    }
+
+    const vercelProject = this.findProject(await this.fetchProjects(), repo, override.name);
+    const deployments = vercelProject ? await this.fetchDeployments(vercelProject.id) : [];
+
+    let productionUrl = null;
+
+    if (override.domain) {
+      productionUrl = override.domain;
+    } else if (vercelProject) {
+      productionUrl = this.getProductionDomain(vercelProject, await this.fetchDomains(vercelProject.id)) ||
+        this.getProductionUrl(deployments);
+    } else {
+      console.log(`No Vercel project linked to ${repo.name}`);
+    }
+
+    return {
+      productionUrl,
+      deployment: this.getDeploymentStatus(deployments)
+    };
+  }
+
+  /**
+   * Find the Vercel deployment of a project (DeploymentProvider adapter interface)
+   * @param {Object} project - Project parsed from GitHub
+   * @returns {Promise<Object|null>} { url, deployment } or null if not deployed on Vercel
+   */
+  async resolve(project) {
+    const { productionUrl, deployment } = await this.fetchDeploymentInfo(project);
+
+    if (!productionUrl && !deployment) {
+      return null;
+    }
+
+    return { url: productionUrl, deployment };
+  }
+
+  /**
+   * Fetch production URL for a repository
+   * @param {Object} repo - Project parsed from GitHub ({ id, name, owner })
    * @returns {Promise<string|null>} Production URL or null
    */
-  async fetchProductionUrl(projectName) {
-    const deployments = await this.fetchDeployments(projectName);
-    return this.getProductionUrl(deployments);
+  async fetchProductionUrl(repo) {
+    const { productionUrl } = await this.fetchDeploymentInfo(repo);
+    return productionUrl;
   }
 }
@@ -0,0 +1,234 @@
+// Proxy Server - Serves project data without exposing API tokens to the browser
+// Runs the ProjectFetcher pipeline server-side and caches the result in memory
+//
+// Usage: GITHUB_TOKEN=... VERCEL_TOKEN=... npm run proxy
+// Then set projectsEndpoint in js/config.js to http://localhost:8787/api/projects
+//
+// Environment variables:
+//   GITHUB_TOKEN     - GitHub token (optional, raises the rate limit and enables GraphQL)
+//   VERCEL_TOKEN     - Vercel token (optional)
+//   VERCEL_TEAM_ID   - Vercel team ID (optional)
+//   NETLIFY_TOKEN    - Netlify personal access token (optional)
+//   CLOUDFLARE_API_TOKEN, CLOUDFLARE_ACCOUNT_ID - Cloudflare Pages access (optional)
+//   RENDER_API_KEY   - Render API key (optional)
+//   LINK_HEALTH_CHECK - Set to "true" to check live URLs before serving projects
+//   PORT             - Port to listen on (default: 8787)
+//   ALLOWED_ORIGIN   - Value of Access-Control-Allow-Origin (default: *)
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { ProjectFetcher } from '../js/project-fetcher.js';
+import { MemoryStorage } from '../js/cache-manager.js';
+import { getUrlCandidates } from '../js/url-resolver.js';
+import { probePublicUrl } from './public-probe.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+
+// Browsers may cache responses this long before revalidating with If-None-Match
+const MAX_AGE_SECONDS = 60;
+
+// Link-health results are reused this long, for at most this many URLs
+const LINK_HEALTH_TTL_MS = 5 * 60 * 1000;
+const LINK_HEALTH_MAX_ENTRIES = 500;
+
+const fetcher = new ProjectFetcher({
+  githubToken: process.env.GITHUB_TOKEN || null,
+  vercelToken: process.env.VERCEL_TOKEN || null,
+  vercelTeamId: process.env.VERCEL_TEAM_ID || null,
+  netlifyToken: process.env.NETLIFY_TOKEN || null,
+  cloudflareApiToken: process.env.CLOUDFLARE_API_TOKEN || null,
+  cloudflareAccountId: process.env.CLOUDFLARE_ACCOUNT_ID || null,
+  renderApiKey: process.env.RENDER_API_KEY || null,
+  linkHealthCheck: process.env.LINK_HEALTH_CHECK === 'true',
+  // The proxy calls the APIs itself
+  projectsEndpoint: null
+}, { storage: new MemoryStorage() });
+
+// Status of the last fetch, served with the cached projects
+let lastStatus = { incomplete: false, rateLimit: null };
+
+// Fetch in progress, shared by concurrent requests
+let pendingFetch = null;
+
+// Link-health results by URL ({ time, result })
+const linkHealthCache = new Map();
+
+/**
+ * Get the projects, from the in-memory cache or a fresh fetch
+ * @returns {Promise<Object>} { projects, incomplete, rateLimit }
+ */
+async function getProjects() {
+  const cachedProjects = fetcher.cacheManager.get();
+  if (cachedProjects) {
+    return { projects: cachedProjects, ...lastStatus };
+  }
+
+  if (!pendingFetch) {
+    pendingFetch = fetcher.loadProjects()
+      .then(projects => {
+        const status = fetcher.getRateLimitStatus();
+
+        lastStatus = {
+          incomplete: fetcher.fetchIncomplete,
+          rateLimit: status.limited ? { resetAt: status.resetAt } : null
+        };
+        return { projects, ...lastStatus };
+      })
+      .catch(error => {
+        // Serve stale projects rather than nothing
+        const cacheEntry = fetcher.cacheManager.getEntry();
+        if (cacheEntry) {
+          console.warn('Fetch failed, serving stale projects:', error.message);
+          return { projects: cacheEntry.data, ...lastStatus };
+        }
+        throw error;
+      })
+      .finally(() => {
+        pendingFetch = null;
+      });
+  }
+
+  return pendingFetch;
+}
+
+/**
+ * Send a JSON response with an ETag, answering 304 if the client's copy is current
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Server response
+ * @param {Object} body - Response body
+ */
+function sendJson(request, response, body) {
+  const json = JSON.stringify(body);
+  const etag = `"${createHash('sha1').update(json).digest('hex')}"`;
+
+  response.setHeader('ETag', etag);
+  response.setHeader('Cache-Control', `public, max-age=${MAX_AGE_SECONDS}`);
+
+  if (request.headers['if-none-match'] === etag) {
+    response.writeHead(304);
+    response.end();
+    return;
+  }
+
+  response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(request.method === 'HEAD' ? undefined : json);
+}
+
+/**
+ * Send an error response
+ * @param {http.ServerResponse} response - Server response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ */
+function sendError(response, status, message) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify({ error: message }));
+}
+
+/**
+ * GET /api/projects - Processed projects as the browser would build them
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Server response
+ */
+async function handleProjects(request, response) {
+  try {
+    sendJson(request, response, await getProjects());
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    sendError(response, 502, 'Unable to load projects');
+  }
+}
+
+/**
+ * Check that a URL is a candidate live URL of a served project, so the proxy cannot be
+ * used to probe arbitrary hosts
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>} True if the URL may be probed
+ */
+async function isProjectUrl(url) {
+  const { projects } = await getProjects();
+
+  return projects.some(project =>
+    getUrlCandidates(project, fetcher.config.urlFallbackOrder).includes(url)
+  );
+}
+
+/**
+ * GET /api/link-health?url=... - Status and latency of a live URL
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Server response
+ */
+async function handleLinkHealth(request, response) {
+  const url = new URL(request.url, 'http://localhost').searchParams.get('url');
+
+  if (!url) {
+    sendError(response, 400, 'A url parameter is required');
+    return;
+  }
+
+  try {
+    if (!(await isProjectUrl(url))) {
+      sendError(response, 403, 'Only live URLs of the served projects can be checked');
+      return;
+    }
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    sendError(response, 502, 'Unable to load projects');
+    return;
+  }
+
+  const cached = linkHealthCache.get(url);
+  if (cached && Date.now() - cached.time < LINK_HEALTH_TTL_MS) {
+    sendJson(request, response, cached.result);
+    return;
+  }
+
+  // Redirects and resolved addresses are checked so private networks stay unreachable
+  const result = await probePublicUrl(url, { timeout: fetcher.config.linkHealthTimeout });
+
+  if (linkHealthCache.size >= LINK_HEALTH_MAX_ENTRIES) {
+    linkHealthCache.clear();
+  }
+  linkHealthCache.set(url, { time: Date.now(), result });
+
+  sendJson(request, response, result);
+}
+
+// Read-only endpoints by path
+const routes = {
+  '/api/projects': handleProjects,
+  '/api/link-health': handleLinkHealth
+};
+
+const server = http.createServer((request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  response.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  response.setHeader('Access-Control-Allow-Headers', 'If-None-Match, If-Modified-Since');
+  response.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+  const handler = routes[pathname];
+  if (!handler) {
+    sendError(response, 404, 'Not found');
+    return;
+  }
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS' });
+    response.end();
+    return;
+  }
+
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    response.setHeader('Allow', 'GET, HEAD, OPTIONS');
+    sendError(response, 405, 'Method not allowed');
+    return;
+  }
+
+  handler(request, response);
+});
+
+server.listen(PORT, () => {
+  console.log(`Portfolio proxy listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,166 @@
+// Public Probe - Link-health probes that can only reach the public internet
+// Redirects are followed by hand and every hop is checked again, and the address a
+// hostname resolves to is checked at connect time (so DNS names pointing at private
+// networks, e.g. 127.0.0.1.nip.io, are refused as well)
+
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import net from 'node:net';
+import { isHealthyStatus } from '../js/link-health.js';
+
+// Maximum redirects followed per probe
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address belongs to a non-public network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be probed
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1 or ::ffff:7f00:1) - check the IPv4 part
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (mapped) {
+    const ipv4 = mapped[1] || [
+      parseInt(mapped[2], 16) >> 8, parseInt(mapped[2], 16) & 255,
+      parseInt(mapped[3], 16) >> 8, parseInt(mapped[3], 16) & 255
+    ].join('.');
+    return blockedAddresses.check(ipv4, 'ipv4');
+  }
+
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement refusing hostnames that resolve to a private address
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - Lookup options (from net.connect)
+ * @param {Function} callback - (error, address, family) or (error, addresses) with options.all
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      callback(new Error(`${hostname} resolves to a private address`));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check that a URL may be requested: http(s), and not an IP literal of a private network
+ * (hostnames are checked when they are resolved, see publicLookup)
+ * @param {URL} url - URL to check
+ * @returns {string|null} Why the URL is refused, or null if allowed
+ */
+function checkUrl(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return `unsupported protocol ${url.protocol}`;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return 'private address';
+  }
+
+  return null;
+}
+
+/**
+ * Send one request without following redirects
+ * @param {URL} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {AbortSignal} signal - Abort signal of the whole probe
+ * @returns {Promise<Object>} { status, location }
+ */
+function requestOnce(url, method, signal) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, { method, lookup: publicLookup, signal }, response => {
+      // Only the status line matters - drop the body
+      response.resume();
+      resolve({ status: response.statusCode, location: response.headers.location || null });
+    });
+
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Probe a URL from the server, following redirects only to public addresses
+ * @param {string} value - URL to probe
+ * @param {Object} options - Probe options
+ * @param {number} options.timeout - Timeout in milliseconds for the whole probe (default: 5000)
+ * @returns {Promise<Object>} { url, ok, status, latency, checkedAt, error } (as probeUrl)
+ */
+export async function probePublicUrl(value, { timeout = 5000 } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const started = Date.now();
+  const checkedAt = new Date().toISOString();
+  const failure = error => ({ url: value, ok: false, status: null, latency: null, checkedAt, error });
+
+  try {
+    let url = new URL(value);
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const refused = checkUrl(url);
+      if (refused) {
+        return failure(`refused: ${refused}`);
+      }
+
+      let response = await requestOnce(url, 'HEAD', controller.signal);
+
+      // Some servers reject HEAD - retry with GET
+      if (response.status === 405 || response.status === 501) {
+        response = await requestOnce(url, 'GET', controller.signal);
+      }
+
+      if (response.status >= 300 && response.status < 400 && response.location) {
+        url = new URL(response.location, url);
+        continue;
+      }
+
+      return {
+        url: value,
+        ok: isHealthyStatus(response.status),
+        status: response.status,
+        latency: Date.now() - started,
+        checkedAt,
+        error: null
+      };
+    }
+
+    return failure('too many redirects');
+  } catch (error) {
+    return failure(error.name === 'AbortError' ? 'timeout' : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,138 @@
+// Activity Processor tests - Event parsing, exclude rules, day groups and commit counts
+// Events follow the shape of the GitHub events API
+
+import { describe, test, expect } from '@jest/globals';
+import { parseEvents, filterActivity, groupByDay, countCommits } from '../js/activity-processor.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1, 12);
+
+/**
+ * Build a raw GitHub event
+ * @param {string} type - Event type
+ * @param {Object} payload - Event payload
+ * @param {string} repo - Repository full name
+ * @returns {Object} Event object
+ */
+function event(type, payload = {}, repo = 'me/app') {
+  return {
+    id: 1,
+    type,
+    repo: { name: repo },
+    payload,
+    created_at: new Date(NOW).toISOString()
+  };
+}
+
+/**
+ * Build a push activity item
+ * @param {string} repo - Repository full name
+ * @param {number} commits - Pushed commits
+ * @param {number} daysAgo - Days before NOW
+ * @returns {Object} Activity item
+ */
+function push(repo, commits, daysAgo) {
+  return {
+    id: `${repo}-${daysAgo}`,
+    type: 'push',
+    name: repo.split('/').pop(),
+    repo,
+    date: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+    commits
+  };
+}
+
+describe('parseEvents', () => {
+  test('parses pushes with their branch and commit count', () => {
+    const [item] = parseEvents([event('PushEvent', { ref: 'refs/heads/main', size: 3, head: 'abc' })]);
+
+    expect(item).toMatchObject({
+      id: '1',
+      type: 'push',
+      name: 'app',
+      repo: 'me/app',
+      title: 'Pushed 3 commits to main',
+      url: 'https://github.com/me/app/commit/abc',
+      commits: 3
+    });
+  });
+
+  test('counts a push without a commit list as one commit', () => {
+    const [item] = parseEvents([event('PushEvent', { ref: 'refs/heads/main' })]);
+    expect(item.title).toBe('Pushed 1 commit to main');
+    expect(item.commits).toBe(1);
+  });
+
+  test('parses published releases, created repositories and merged pull requests', () => {
+    const items = parseEvents([
+      event('ReleaseEvent', { action: 'published', release: { tag_name: 'v1.0.0', html_url: 'https://github.com/me/app/releases/v1.0.0' } }),
+      event('CreateEvent', { ref_type: 'repository' }),
+      event('PullRequestEvent', { action: 'closed', pull_request: { merged: true, number: 7, title: 'Fix', html_url: 'https://github.com/me/app/pull/7' } })
+    ]);
+
+    expect(items.map(item => [item.type, item.title])).toEqual([
+      ['release', 'Released v1.0.0'],
+      ['create', 'Created repository'],
+      ['merge', 'Merged PR #7: Fix']
+    ]);
+  });
+
+  test('drops events the feed ignores', () => {
+    expect(parseEvents([
+      event('WatchEvent'),
+      event('CreateEvent', { ref_type: 'branch' }),
+      event('ReleaseEvent', { action: 'created', release: {} }),
+      event('PullRequestEvent', { action: 'closed', pull_request: { merged: false } })
+    ])).toEqual([]);
+  });
+});
+
+describe('filterActivity', () => {
+  const items = [push('me/app', 1, 0), push('me/dotfiles', 1, 0), push('me/Fork', 1, 0)];
+
+  test('applies excludeRepos', () => {
+    expect(filterActivity(items, { excludeRepos: ['dot*'] }).map(item => item.repo))
+      .toEqual(['me/app', 'me/Fork']);
+  });
+
+  test('drops repositories hidden by the filter rules, ignoring case', () => {
+    expect(filterActivity(items, {}, ['me/fork']).map(item => item.repo))
+      .toEqual(['me/app', 'me/dotfiles']);
+  });
+});
+
+describe('groupByDay', () => {
+  test('groups items by day, newest first', () => {
+    const items = [push('me/a', 1, 2), push('me/b', 1, 0), push('me/c', 1, 2)];
+    const days = groupByDay(items);
+
+    expect(days).toHaveLength(2);
+    expect(days[0].items.map(item => item.repo)).toEqual(['me/b']);
+    expect(days[1].items.map(item => item.repo)).toEqual(['me/a', 'me/c']);
+  });
+
+  test('limits the number of days', () => {
+    const items = [push('me/a', 1, 0), push('me/a', 1, 1), push('me/a', 1, 2)];
+    expect(groupByDay(items, 2)).toHaveLength(2);
+  });
+});
+
+describe('countCommits', () => {
+  test('counts pushed commits per window, most active first', () => {
+    const items = [
+      push('me/a', 2, 5),
+      push('me/a', 3, 60),
+      push('me/b', 10, 10),
+      push('me/b', 4, 120)
+    ];
+
+    expect(countCommits(items, [30, 90], NOW)).toEqual([
+      { name: 'b', repo: 'me/b', counts: { 30: 10, 90: 10 } },
+      { name: 'a', repo: 'me/a', counts: { 30: 2, 90: 5 } }
+    ]);
+  });
+
+  test('ignores items other than pushes', () => {
+    expect(countCommits([{ ...push('me/a', 1, 0), type: 'release' }], [30], NOW)).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+// Filter Rules tests - Rule evaluation, name patterns and the kept/excluded split
+// Rules are evaluated against a fixed time so updatedWithinDays is deterministic
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { findMatchingPattern, evaluateRule, applyFilterRules } from '../js/filter-rules.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+
+/**
+ * Build a project object as the GitHub client returns it
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Project object
+ */
+function project(fields = {}) {
+  return {
+    id: 1,
+    name: 'portfolio',
+    source: 'github',
+    description: 'My portfolio',
+    topics: [],
+    stars: 0,
+    ...fields
+  };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findMatchingPattern', () => {
+  test('matches globs case-insensitively', () => {
+    expect(findMatchingPattern('Demo-App', ['demo-*'])).toBe('demo-*');
+    expect(findMatchingPattern('app', ['demo-*'])).toBeNull();
+  });
+
+  test('matches /regex/ patterns', () => {
+    expect(findMatchingPattern('test-42', ['/^test-\\d+$/'])).toBe('/^test-\\d+$/');
+  });
+
+  test('accepts a single pattern', () => {
+    expect(findMatchingPattern('dotfiles', 'dotfiles')).toBe('dotfiles');
+  });
+
+  test('ignores invalid regular expressions', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(findMatchingPattern('app', ['/(/', 'app'])).toBe('app');
+  });
+});
+
+describe('evaluateRule', () => {
+  test('passes without a rule', () => {
+    expect(evaluateRule(project(), null)).toBeNull();
+  });
+
+  test('reports the first failing condition', () => {
+    expect(evaluateRule(project({ fork: true }), { fork: false })).toBe('is a fork');
+    expect(evaluateRule(project({ stars: 2 }), { minStars: 5 })).toBe('fewer than 5 stars (2)');
+  });
+
+  test('requires every rule of all', () => {
+    const rule = { all: [{ archived: false }, { requiredTopics: ['Portfolio'] }] };
+    expect(evaluateRule(project({ topics: ['portfolio'] }), rule)).toBeNull();
+    expect(evaluateRule(project(), rule)).toBe('missing required topic(s): Portfolio');
+  });
+
+  test('requires one rule of any', () => {
+    const rule = { any: [{ minStars: 5 }, { requiredTopics: ['featured'] }] };
+    expect(evaluateRule(project({ topics: ['featured'] }), rule)).toBeNull();
+    expect(evaluateRule(project(), rule))
+      .toBe('none of: fewer than 5 stars (0); missing required topic(s): featured');
+  });
+
+  test('treats the placeholder description as missing', () => {
+    const rule = { hasDescription: true };
+    expect(evaluateRule(project({ description: 'No description available' }), rule)).toBe('no description');
+    expect(evaluateRule(project(), rule)).toBeNull();
+  });
+
+  test('checks updatedWithinDays against the last push', () => {
+    const rule = { updatedWithinDays: 30 };
+    const recent = project({ pushedAt: new Date(NOW - 10 * DAY_MS).toISOString() });
+    const stale = project({ pushedAt: new Date(NOW - 40 * DAY_MS).toISOString() });
+
+    expect(evaluateRule(recent, rule, NOW)).toBeNull();
+    expect(evaluateRule(stale, rule, NOW)).toBe('not updated within 30 days');
+    expect(evaluateRule(project(), rule, NOW)).toBe('no update time');
+  });
+
+  test('ignores unknown conditions', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(evaluateRule(project(), { unknown: true })).toBeNull();
+  });
+});
+
+describe('applyFilterRules', () => {
+  test('keeps every project without rules', () => {
+    const projects = [project()];
+    expect(applyFilterRules(projects, null)).toEqual({ projects, excluded: [] });
+  });
+
+  test('splits projects and records why they were excluded', () => {
+    const kept = project({ id: 1, name: 'app' });
+    const fork = project({ id: 2, name: 'fork', fork: true });
+
+    const result = applyFilterRules([kept, fork], { fork: false });
+
+    expect(result.projects).toEqual([kept]);
+    expect(result.excluded).toEqual([{ ...fork, excludeReason: 'is a fork' }]);
+  });
+
+  test('always keeps manual projects', () => {
+    const manual = project({ source: 'manual', fork: true });
+    expect(applyFilterRules([manual], { fork: false }).projects).toEqual([manual]);
+  });
+});
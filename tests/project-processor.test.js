@@ -0,0 +1,65 @@
+// Project Processor tests - Deciding when fetched repositories already fill the display
+// Repositories are listed most recently pushed first, as the GitHub client fetches them
+
+import { describe, test, expect } from '@jest/globals';
+import { hasEnoughCandidates } from '../js/project-processor.js';
+
+/**
+ * Build fetched projects named repo-1, repo-2, ...
+ * @param {number} count - Number of projects
+ * @returns {Array} Project objects
+ */
+function fetched(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    name: `repo-${index + 1}`,
+    repoUrl: `https://github.com/me/repo-${index + 1}`,
+    source: 'github',
+    topics: []
+  }));
+}
+
+describe('hasEnoughCandidates', () => {
+  const config = { maxProjects: 3 };
+
+  test('stops once maxProjects projects are found', () => {
+    expect(hasEnoughCandidates(fetched(2), config)).toBe(false);
+    expect(hasEnoughCandidates(fetched(3), config)).toBe(true);
+  });
+
+  test('keeps paging without a limit, with groups, with "Show more" or another order', () => {
+    const projects = fetched(5);
+
+    expect(hasEnoughCandidates(projects, {})).toBe(false);
+    expect(hasEnoughCandidates(projects, { ...config, projectGroups: [{ title: 'Web', topics: ['web'] }] })).toBe(false);
+    expect(hasEnoughCandidates(projects, { ...config, showMoreMode: 'button' })).toBe(false);
+    expect(hasEnoughCandidates(projects, { ...config, sortStrategy: 'stars' })).toBe(false);
+  });
+
+  test('counts manual entries merged into a fetched repository once', () => {
+    const manualProjects = [{ id: 'manual-1', name: 'repo-1', label: 'Repo one' }];
+    expect(hasEnoughCandidates(fetched(2), { ...config, manualProjects })).toBe(false);
+  });
+
+  test('counts manual entries without a repository', () => {
+    const manualProjects = [{ id: 'manual-1', name: 'side-project', source: 'manual' }];
+    expect(hasEnoughCandidates(fetched(2), { ...config, manualProjects })).toBe(true);
+  });
+
+  test('leaves out projects hidden by overrides, excludeRepos and filterRules', () => {
+    const projects = fetched(4);
+
+    expect(hasEnoughCandidates(projects, { ...config, projectOverrides: { 'repo-1': { hidden: true } } })).toBe(true);
+    expect(hasEnoughCandidates(projects, {
+      ...config,
+      projectOverrides: { 'repo-1': { hidden: true } },
+      excludeRepos: ['repo-2']
+    })).toBe(false);
+    expect(hasEnoughCandidates(projects, { ...config, filterRules: { excludeNames: ['/^repo-[12]$/'] } })).toBe(false);
+  });
+
+  test('keeps paging until every priority repository is found', () => {
+    expect(hasEnoughCandidates(fetched(3), { ...config, priorityRepos: ['repo-9'] })).toBe(false);
+    expect(hasEnoughCandidates(fetched(3), { ...config, priorityRepos: ['REPO-2'] })).toBe(true);
+  });
+});
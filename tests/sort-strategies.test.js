@@ -0,0 +1,128 @@
+// Sort Strategies tests - Comparators, the stable tiebreaker and project scores
+// Sorted lists are compared by project id
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { getComparator, scoreProject, compareTiebreaker, DEFAULT_SCORE_WEIGHTS } from '../js/sort-strategies.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+
+/**
+ * Build a project pushed the given number of days before NOW
+ * @param {number} id - Project id
+ * @param {Object} fields - Other fields to set
+ * @param {number} daysAgo - Days since the last push
+ * @returns {Object} Project object
+ */
+function project(id, fields = {}, daysAgo = 0) {
+  return {
+    id,
+    name: `project-${id}`,
+    stars: 0,
+    forks: 0,
+    pushedAt: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+    ...fields
+  };
+}
+
+/**
+ * Sort projects and list their ids
+ * @param {Array} projects - Array of project objects
+ * @param {string|Function} strategy - Sort strategy
+ * @param {Object} options - Strategy options
+ * @returns {Array} Project ids in sorted order
+ */
+function sortIds(projects, strategy, options = {}) {
+  return [...projects].sort(getComparator(strategy, options)).map(item => item.id);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('getComparator', () => {
+  test('recent puts the last pushed first', () => {
+    const projects = [project(1, {}, 10), project(2, {}, 1), project(3, {}, 5)];
+    expect(sortIds(projects, 'recent')).toEqual([2, 3, 1]);
+  });
+
+  test('recent falls back to updatedAt and sorts projects without dates last', () => {
+    const projects = [
+      project(1, { pushedAt: undefined }),
+      project(2, { pushedAt: undefined, updatedAt: new Date(NOW).toISOString() }),
+      project(3, {}, 1)
+    ];
+    expect(sortIds(projects, 'recent')).toEqual([2, 3, 1]);
+  });
+
+  test('stars puts the most starred first', () => {
+    const projects = [project(1, { stars: 3 }), project(2, { stars: 10 }), project(3)];
+    expect(sortIds(projects, 'stars')).toEqual([2, 1, 3]);
+  });
+
+  test('name sorts by label, then name, ignoring case', () => {
+    const projects = [
+      project(1, { name: 'zeta' }),
+      project(2, { name: 'beta', label: 'Alpha' }),
+      project(3, { name: 'Gamma' })
+    ];
+    expect(sortIds(projects, 'name')).toEqual([2, 3, 1]);
+  });
+
+  test('breaks ties by name, then id', () => {
+    const projects = [
+      project(3, { name: 'same', stars: 1 }),
+      project(1, { name: 'same', stars: 1 }),
+      project(2, { name: 'other', stars: 1 })
+    ];
+    expect(sortIds(projects, 'stars')).toEqual([2, 1, 3]);
+  });
+
+  test('accepts a custom comparator', () => {
+    const projects = [project(1), project(2), project(3)];
+    expect(sortIds(projects, (a, b) => b.id - a.id)).toEqual([3, 2, 1]);
+  });
+
+  test('uses recent for unknown strategies', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const projects = [project(1, {}, 10), project(2, {}, 1)];
+    expect(sortIds(projects, 'unknown')).toEqual([2, 1]);
+  });
+
+  test('score applies the configured weights', () => {
+    // The strategy scores recency against the current time
+    jest.useFakeTimers({ now: NOW });
+    const popular = project(1, { stars: 100 }, 300);
+    const fresh = project(2, { stars: 1 }, 0);
+
+    expect(sortIds([fresh, popular], 'score', { scoreWeights: { stars: 1, recency: 0 } })).toEqual([1, 2]);
+    expect(sortIds([popular, fresh], 'score', { scoreWeights: { stars: 0, recency: 1 } })).toEqual([2, 1]);
+  });
+});
+
+describe('scoreProject', () => {
+  test('counts stars and forks logarithmically', () => {
+    const weights = { stars: 1, forks: 0.5, recency: 0 };
+    expect(scoreProject(project(1, { stars: 9, forks: 3 }), weights, NOW))
+      .toBeCloseTo(Math.log1p(9) + 0.5 * Math.log1p(3));
+  });
+
+  test('scales recency from 1 (today) to 0 (recencyDays ago)', () => {
+    const weights = { stars: 0, forks: 0, recency: 1, recencyDays: 100 };
+    expect(scoreProject(project(1, {}, 0), weights, NOW)).toBeCloseTo(1);
+    expect(scoreProject(project(1, {}, 50), weights, NOW)).toBeCloseTo(0.5);
+    expect(scoreProject(project(1, {}, 200), weights, NOW)).toBe(0);
+  });
+
+  test('gives projects without an update time no recency', () => {
+    expect(scoreProject({ id: 1, name: 'manual' }, DEFAULT_SCORE_WEIGHTS, NOW)).toBe(0);
+  });
+});
+
+describe('compareTiebreaker', () => {
+  test('orders by name, then id', () => {
+    expect(compareTiebreaker({ id: 1, name: 'b' }, { id: 2, name: 'A' })).toBeGreaterThan(0);
+    expect(compareTiebreaker({ id: 1, name: 'a' }, { id: 2, name: 'A' })).toBeLessThan(0);
+  });
+});
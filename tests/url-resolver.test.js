@@ -0,0 +1,118 @@
+// URL Resolver tests - The live URL fallback chain and the candidate URLs it leaves
+// Deployment providers are stubbed with the adapter interface the resolver calls
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { resolveLiveUrl, getUrlCandidates } from '../js/url-resolver.js';
+import { RateLimitError } from '../js/error-handler.js';
+
+const REPO_URL = 'https://github.com/me/app';
+
+/**
+ * Build a project object
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Project object
+ */
+function project(fields = {}) {
+  return { id: 1, name: 'app', repoUrl: REPO_URL, homepage: null, ...fields };
+}
+
+/**
+ * Build a deployment provider adapter stub
+ * @param {string} name - Provider name
+ * @param {Object|null|Function} result - What resolve() returns (or a function throwing)
+ * @param {boolean} configured - Whether the provider is configured
+ * @returns {Object} Provider adapter
+ */
+function provider(name, result, configured = true) {
+  return {
+    name,
+    isConfigured: () => configured,
+    resolve: jest.fn(async () => (typeof result === 'function' ? result() : result))
+  };
+}
+
+const READY = { state: 'READY', url: 'https://app.vercel.app' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveLiveUrl', () => {
+  test('uses the first provider with a URL', async () => {
+    const providers = [provider('netlify', null), provider('vercel', { url: READY.url, deployment: READY })];
+
+    await expect(resolveLiveUrl(project({ homepage: 'https://app.dev' }), providers)).resolves.toEqual({
+      liveUrl: READY.url,
+      provider: 'vercel',
+      deployment: READY
+    });
+  });
+
+  test('falls back to the homepage, then the repository', async () => {
+    await expect(resolveLiveUrl(project({ homepage: 'https://app.dev' }))).resolves
+      .toEqual({ liveUrl: 'https://app.dev', provider: null, deployment: null });
+    await expect(resolveLiveUrl(project({ homepage: REPO_URL }))).resolves
+      .toEqual({ liveUrl: REPO_URL, provider: null, deployment: null });
+  });
+
+  test('keeps the override URL but still reports the deployment', async () => {
+    const providers = [provider('vercel', { url: READY.url, deployment: READY })];
+
+    await expect(resolveLiveUrl(project({ liveUrlOverride: 'https://app.example.com' }), providers)).resolves
+      .toEqual({ liveUrl: 'https://app.example.com', provider: 'vercel', deployment: READY });
+  });
+
+  test('keeps the status of a deployment without a URL', async () => {
+    const failed = { state: 'ERROR', url: null };
+    const providers = [provider('vercel', { url: null, deployment: failed })];
+
+    await expect(resolveLiveUrl(project({ homepage: 'https://app.dev' }), providers)).resolves
+      .toEqual({ liveUrl: 'https://app.dev', provider: null, deployment: failed });
+  });
+
+  test('follows the configured order', async () => {
+    const vercel = provider('vercel', { url: READY.url, deployment: READY });
+
+    await expect(resolveLiveUrl(project({ homepage: 'https://app.dev' }), [vercel], ['homepage', 'vercel'])).resolves
+      .toEqual({ liveUrl: 'https://app.dev', provider: null, deployment: null });
+    expect(vercel.resolve).not.toHaveBeenCalled();
+  });
+
+  test('skips providers that are not configured or fail', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const unconfigured = provider('netlify', { url: 'https://app.netlify.app' }, false);
+    const failing = provider('vercel', () => {
+      throw new RateLimitError('Rate limit exceeded');
+    });
+
+    await expect(resolveLiveUrl(project(), [unconfigured, failing])).resolves
+      .toEqual({ liveUrl: REPO_URL, provider: null, deployment: null });
+    expect(unconfigured.resolve).not.toHaveBeenCalled();
+  });
+});
+
+describe('getUrlCandidates', () => {
+  test('lists the live URL first, then the fallback chain', () => {
+    const candidates = getUrlCandidates(project({
+      liveUrl: 'https://app.example.com',
+      liveUrlOverride: 'https://app.example.com',
+      homepage: 'https://app.dev',
+      deployment: READY
+    }));
+
+    expect(candidates).toEqual(['https://app.example.com', READY.url, 'https://app.dev', REPO_URL]);
+  });
+
+  test('leaves out deployments that are not ready', () => {
+    const candidates = getUrlCandidates(project({
+      liveUrl: REPO_URL,
+      deployment: { state: 'ERROR', url: 'https://broken.vercel.app' }
+    }));
+
+    expect(candidates).toEqual([REPO_URL]);
+  });
+
+  test('always ends with the repository', () => {
+    expect(getUrlCandidates(project({ liveUrl: 'https://app.dev' }), ['homepage'])).toEqual(['https://app.dev', REPO_URL]);
+  });
+});